@@ -0,0 +1,250 @@
+const vcpByName = require('../vcp');
+const linterByName = require('../linters');
+const ConfigError = require('../errors/ConfigError');
+const options = require('./options');
+const parseArgs = require('./parseArgs');
+const loadConfig = require('./loadConfig');
+
+const { toKebabCase } = parseArgs;
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * @param {*} value
+ * @param {object} option
+ * @returns {string|null} what is wrong with the value, `null` when it is valid
+ */
+function checkType(value, option) {
+  switch (option.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      if (option.values && !option.values.includes(value)) {
+        return `must be one of ${option.values.join(', ')}`;
+      }
+      return null;
+    case 'number':
+      if (option.max !== undefined) {
+        return Number.isInteger(value) && value >= option.min && value <= option.max
+          ? null
+          : `must be an integer from ${option.min} to ${option.max}`;
+      }
+      if (!Number.isInteger(value) || value < option.min) {
+        return `must be an integer greater than or equal to ${option.min}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string[]':
+      if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+        return 'must be a list of strings';
+      }
+      if (option.values && !value.every(v => option.values.includes(v))) {
+        return `must only contain ${option.values.join(', ')}`;
+      }
+      return null;
+    default:
+      return isObject(value) ? null : 'must be an object';
+  }
+}
+
+/**
+ * @param {object} values
+ * @param {string} source where the values come from, used in error messages
+ * @param {object[]} accepted options that may be set from `source`
+ * @param {string} prefix path of `values` in `source`
+ * @throws {ConfigError} when an option is unknown or has a value of the wrong type
+ */
+function validate(values, source, accepted, prefix = '') {
+  Object.keys(values).forEach((name) => {
+    const option = accepted.find(o => o.name === name);
+    const label = source === 'command line'
+      ? `--${toKebabCase(name)}`
+      : `"${prefix}${name}" in ${source}`;
+    if (!option) {
+      throw new ConfigError(`Unknown option ${label}`);
+    }
+    const error = checkType(values[name], option);
+    if (error) {
+      throw new ConfigError(`Option ${label} ${error}, got ${JSON.stringify(values[name])}`);
+    }
+  });
+
+  if (values.providers) {
+    const providerOptions = options.filter(o => o.provider);
+    Object.keys(values.providers).forEach((provider) => {
+      if (!vcpByName[provider]) {
+        throw new ConfigError(`Unsupported version control provider "${provider}" in ${source}, expected one of ${Object.keys(vcpByName).join(', ')}`);
+      }
+      if (!isObject(values.providers[provider])) {
+        throw new ConfigError(`Option "providers.${provider}" in ${source} must be an object`);
+      }
+      validate(values.providers[provider], source, providerOptions, `providers.${provider}.`);
+    });
+  }
+
+  if (values.linterOptions) {
+    Object.keys(values.linterOptions).forEach((name) => {
+      const Linter = linterByName[name];
+      if (!Linter || !Linter.options) {
+        const names = Object.keys(linterByName).filter(n => linterByName[n].options);
+        throw new ConfigError(`Unsupported linter "${name}" in ${source}, expected one of ${names.join(', ')}`);
+      }
+      if (!isObject(values.linterOptions[name])) {
+        throw new ConfigError(`Option "linterOptions.${name}" in ${source} must be an object`);
+      }
+      validate(values.linterOptions[name], source, Linter.options, `linterOptions.${name}.`);
+    });
+  }
+}
+
+/**
+ * @param {object} values
+ * @param {function} predicate
+ * @returns {object} values of the options that match `predicate`
+ */
+function pick(values, predicate) {
+  return Object.keys(values)
+    .filter(name => values[name] != null && predicate(options.find(o => o.name === name)))
+    .reduce((picked, name) => ({ ...picked, [name]: values[name] }), {});
+}
+
+/**
+ * @returns {object} default value of every option that has one
+ */
+function defaultValues() {
+  return options
+    .filter(o => o.default !== undefined)
+    .reduce((d, o) => ({ ...d, [o.name]: o.default }), {});
+}
+
+/**
+ * @returns {string} usage of lintbot with every option
+ */
+function usage() {
+  const rows = options
+    .filter(o => o.cli !== false)
+    .map((o) => {
+      const flag = `${o.alias ? `-${o.alias}, ` : '    '}--${toKebabCase(o.name)}${o.arg ? ` ${o.arg}` : ''}`;
+      const defaultText = o.default !== undefined && o.type !== 'boolean' && String(o.default) !== ''
+        ? ` (default: ${o.default})`
+        : '';
+      return { flag, description: `${o.description}${defaultText}`, provider: o.provider };
+    });
+  const width = Math.max(...rows.map(r => r.flag.length)) + 2;
+  const format = r => `  ${r.flag.padEnd(width)}${r.description}`;
+
+  return `usage: lintbot [<options>] <provider> [<eslint-config>]
+
+Providers: ${Object.keys(vcpByName).join(', ')}
+
+Options:
+${rows.filter(r => !r.provider).map(format).join('\n')}
+
+Provider options:
+${rows.filter(r => r.provider).map(format).join('\n')}
+
+Boolean options are negated with --no-<option>, lists are comma separated or repeated.
+
+Options are also read from the first of ${loadConfig.FILE_NAMES.join(', ')}
+found from the working directory up to the root of the repository, command line flags override
+them. Provider options may be nested under "providers", e.g.
+{ "providers": { "github": { "mode": "checks" } } }`;
+}
+
+/**
+ * Resolves the options of a run from, in increasing order of precedence, the defaults, the
+ * options passed to `lintbot()`, `.lintbotrc` and the command line.
+ *
+ * @param {object} params
+ * @param {string[]} params.argv arguments without the paths to `node` and `lintbot`
+ * @param {object} params.overrides options passed to `lintbot()`
+ * @param {string} params.cwd
+ * @returns {object} validated options, `providerOptions` are passed to the provider
+ * @throws {ConfigError} when an option is invalid
+ * @example
+ * resolveConfig({ argv: ['local', '--base', 'origin/main', '--limit', '10'] });
+ * // => {
+ * //   provider: 'local',
+ * //   limit: 10,
+ * //   retry: 3,
+ * //   ...
+ * //   providerOptions: { base: 'origin/main' },
+ * // }
+ */
+function resolveConfig({ argv = [], overrides = {}, cwd = process.cwd() } = {}) {
+  const { values: cliValues, positionals } = parseArgs(argv, options);
+
+  if (cliValues.help) {
+    return { help: true };
+  }
+
+  if (positionals.length > 2) {
+    throw new ConfigError(`Unexpected argument "${positionals[2]}"`);
+  }
+  const [provider, eslintConfig] = positionals;
+  if (provider !== undefined) {
+    cliValues.provider = provider;
+  }
+  if (eslintConfig !== undefined) {
+    cliValues.eslintConfig = eslintConfig;
+  }
+  validate(cliValues, 'command line', options.filter(o => o.cli !== false));
+
+  const { file, config: rcValues } = loadConfig({ file: cliValues.config, cwd });
+  validate(rcValues, file, options.filter(o => o.rc !== false));
+
+  const programmaticValues = pick(overrides, o => o && !o.provider);
+  validate(programmaticValues, 'lintbot()', options);
+
+  const config = {
+    ...defaultValues(),
+    ...programmaticValues,
+    ...pick(rcValues, o => !o.provider && o.name !== 'providers'),
+    ...pick(cliValues, o => !o.provider && o.name !== 'config'),
+  };
+
+  if (!config.provider) {
+    throw new ConfigError(`No version control provider given, expected one of ${Object.keys(vcpByName).join(', ')}`);
+  }
+
+  config.providerOptions = {
+    ...pick(rcValues, o => o.provider),
+    ...((rcValues.providers || {})[config.provider]),
+    ...pick(cliValues, o => o.provider),
+  };
+  config.configFile = file;
+
+  return config;
+}
+
+/**
+ * Validates the options of `lintbot.run()` and fills in the defaults, unlike `resolveConfig`
+ * nothing is read from the command line or `.lintbotrc`.
+ *
+ * @param {object} values
+ * @returns {object} validated options
+ * @throws {ConfigError} when an option is invalid
+ * @example
+ * resolveOptions({ provider: 'github', maxErrors: 0 });
+ * // => { provider: 'github', maxErrors: 0, limit: 5, retry: 3, ... }
+ */
+function resolveOptions(values) {
+  const set = pick(values, () => true);
+  // Provider options are given in `providerOptions` instead of `providers`
+  const accepted = options.filter(o => !o.provider && o.rc !== false && o.name !== 'providers');
+  validate(set, 'lintbot.run()', accepted);
+  return {
+    ...defaultValues(),
+    ...set,
+  };
+}
+
+module.exports = {
+  options,
+  resolveConfig,
+  resolveOptions,
+  usage,
+  validate,
+};
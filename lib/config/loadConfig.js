@@ -0,0 +1,78 @@
+const fs = require('fs');
+const nodePath = require('path');
+const yaml = require('js-yaml');
+const ConfigError = require('../errors/ConfigError');
+
+const FILE_NAMES = [
+  '.lintbotrc',
+  '.lintbotrc.json',
+  '.lintbotrc.yaml',
+  '.lintbotrc.yml',
+  '.lintbotrc.js',
+];
+
+/**
+ * Looks for a configuration file from `cwd` up to the root of the repository.
+ *
+ * @param {string} cwd
+ * @returns {string|null} path to the configuration file
+ */
+function findConfigFile(cwd) {
+  const dir = nodePath.resolve(cwd);
+  const configFile = FILE_NAMES
+    .map(fileName => nodePath.join(dir, fileName))
+    .find(fs.existsSync);
+  if (configFile) {
+    return configFile;
+  }
+  const parent = nodePath.dirname(dir);
+  if (fs.existsSync(nodePath.join(dir, '.git')) || parent === dir) {
+    return null;
+  }
+  return findConfigFile(parent);
+}
+
+/**
+ * Reads a `.lintbotrc` written in JSON, YAML or as a CommonJS module.
+ *
+ * @param {object} options
+ * @param {string} options.file Path to the configuration file, looked up when omitted
+ * @param {string} options.cwd
+ * @returns {object} the configuration and the path it was read from, empty when there is none
+ * @example
+ * loadConfig({ cwd: '/home/omar/lintbot' });
+ * // => { file: '/home/omar/lintbot/.lintbotrc.yml', config: { scope: 'added' } }
+ */
+function loadConfig({ file, cwd = process.cwd() } = {}) {
+  const configFile = file ? nodePath.resolve(cwd, file) : findConfigFile(cwd);
+  if (!configFile) {
+    return { file: null, config: {} };
+  }
+
+  let config;
+  try {
+    if (configFile.endsWith('.js')) {
+      // The path of a configuration file is only known at run time. `require` resolves the
+      // modules it requires from its own directory, unlike reading and evaluating it.
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      config = require(configFile);
+    } else {
+      // YAML is a superset of JSON
+      config = yaml.safeLoad(fs.readFileSync(configFile, 'utf8'), { filename: configFile });
+    }
+  } catch (err) {
+    throw new ConfigError(`Cannot read ${configFile}: ${err.message}`);
+  }
+
+  if (config === undefined || config === null) {
+    return { file: configFile, config: {} };
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`${configFile} must contain an object`);
+  }
+  return { file: configFile, config };
+}
+
+loadConfig.FILE_NAMES = FILE_NAMES;
+
+module.exports = loadConfig;
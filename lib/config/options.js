@@ -0,0 +1,303 @@
+const vcpByName = require('../vcp');
+const linterByName = require('../linters');
+const diffScope = require('../helpers/diffScope');
+
+/**
+ * Every option of lintbot, they are read from `.lintbotrc` and overridden by command line flags.
+ *
+ * name: key in `.lintbotrc` and in the options of `lintbot()`, the flag is its kebab-case
+ * type: `string`, `number`, `boolean`, `string[]` or `object`
+ * values: accepted values of a `string` or of the strings of a `string[]`
+ * min: smallest accepted `number`
+ * max: largest accepted `number`
+ * provider: passed to the constructor of the version control provider
+ * cli: `false` when it is only read from `.lintbotrc`
+ * rc: `false` when it is only read from the command line
+ */
+module.exports = [
+  {
+    name: 'provider',
+    type: 'string',
+    values: Object.keys(vcpByName),
+    arg: '<provider>',
+    description: 'Version control provider, can also be given as the first argument',
+  },
+  {
+    name: 'eslintConfig',
+    type: 'string',
+    arg: '<file>',
+    description: 'ESLint configuration file, can also be given as the second argument',
+  },
+  {
+    name: 'dryRun',
+    alias: 'd',
+    type: 'boolean',
+    default: false,
+    description: 'Only performs requests that read from the provider',
+  },
+  {
+    name: 'limit',
+    type: 'number',
+    min: 1,
+    default: 5,
+    arg: '<n>',
+    description: 'Number of requests to the provider that run concurrently',
+  },
+  {
+    name: 'retry',
+    type: 'number',
+    min: 0,
+    default: 3,
+    arg: '<n>',
+    description: 'Retries of a request that timed out, failed with a 5xx or was rate limited',
+  },
+  {
+    name: 'retryDelayMs',
+    type: 'number',
+    min: 0,
+    default: 1000,
+    arg: '<ms>',
+    description: 'Delay before the first retry, doubled on every retry and randomized',
+  },
+  {
+    name: 'maxRetryDelayMs',
+    type: 'number',
+    min: 0,
+    default: 30000,
+    arg: '<ms>',
+    description: 'Longest delay between retries',
+  },
+  {
+    name: 'maxRateLimitWaitMs',
+    type: 'number',
+    min: 0,
+    default: 300000,
+    arg: '<ms>',
+    description: 'Longest pause of all requests when the provider rate limits them, a request fails instead of waiting longer',
+  },
+  {
+    name: 'timeoutMs',
+    type: 'number',
+    min: 1,
+    default: 15000,
+    arg: '<ms>',
+    description: 'Time after which a request to the provider is aborted',
+  },
+  {
+    name: 'extensions',
+    type: 'string[]',
+    default: ['.js'],
+    arg: '<ext,...>',
+    description: 'Extensions of the files ESLint lints',
+  },
+  {
+    name: 'linters',
+    type: 'string[]',
+    // Linters that lintbot can create from their package
+    values: Object.keys(linterByName).filter(name => linterByName[name].options),
+    default: [],
+    arg: '<name,...>',
+    description: 'Other linters: stylelint, typescript or prettier, their package is required from the working directory',
+  },
+  {
+    name: 'linterOptions',
+    type: 'object',
+    cli: false,
+    description: 'Options of each linter keyed by linter name, e.g. `{ "typescript": { "configFile": "tsconfig.build.json" } }`',
+  },
+  {
+    name: 'include',
+    type: 'string[]',
+    default: [],
+    arg: '<glob,...>',
+    description: 'Only files that match one of the globs are linted',
+  },
+  {
+    name: 'exclude',
+    type: 'string[]',
+    default: [],
+    arg: '<glob,...>',
+    description: 'Files that match one of the globs are not linted',
+  },
+  {
+    name: 'severity',
+    type: 'string',
+    values: ['warning', 'error'],
+    default: 'warning',
+    arg: '<level>',
+    description: 'Lint messages below this severity are ignored',
+  },
+  {
+    name: 'scope',
+    type: 'string',
+    values: diffScope.SCOPES,
+    default: 'hunks',
+    arg: '<scope>',
+    description: 'Lines that are commented on: `added`, `hunks` shown in the diff or the whole `file`',
+  },
+  {
+    name: 'report',
+    type: 'string',
+    arg: '<file>',
+    description: 'Comments an ESLint JSON, SARIF 2.1 or Checkstyle XML report instead of running ESLint',
+  },
+  {
+    name: 'reportFormat',
+    type: 'string',
+    values: ['eslint', 'sarif', 'checkstyle'],
+    arg: '<format>',
+    description: 'Format of --report, detected from the report when omitted',
+  },
+  {
+    name: 'summary',
+    type: 'boolean',
+    default: true,
+    description: 'Maintains a summary comment with error and warning counts by rule and by file',
+  },
+  {
+    name: 'codeQuality',
+    type: 'string',
+    arg: '<file>',
+    description: 'Writes the lint messages to a GitLab Code Quality report',
+  },
+  {
+    name: 'workspace',
+    type: 'string',
+    arg: '<dir>',
+    description: 'Reads the files from this git checkout instead of the provider when it is at the head commit',
+  },
+  {
+    name: 'maxComments',
+    type: 'number',
+    min: 0,
+    arg: '<n>',
+    description: 'Inline comments above this number are listed in the summary instead, or in the log without one, unlimited when omitted',
+  },
+  {
+    name: 'maxErrors',
+    type: 'number',
+    min: 0,
+    arg: '<n>',
+    description: 'Fails and requests changes when there are more errors, unlimited when omitted',
+  },
+  {
+    name: 'maxWarnings',
+    type: 'number',
+    min: 0,
+    arg: '<n>',
+    description: 'Fails and requests changes when there are more warnings, unlimited when omitted',
+  },
+  {
+    name: 'newOnly',
+    type: 'boolean',
+    default: false,
+    description: 'Only messages on lines the pull request adds count against --max-errors and --max-warnings',
+  },
+  {
+    name: 'baseline',
+    type: 'boolean',
+    default: false,
+    description: 'Lints the files before the change as well and ignores the lint messages they already had',
+  },
+  {
+    name: 'baselineFile',
+    type: 'string',
+    arg: '<file>',
+    description: 'Ignores the lint messages accepted by an ESLint suppressions file, e.g. eslint-suppressions.json',
+  },
+  {
+    name: 'ruleUrls',
+    type: 'object',
+    cli: false,
+    description: 'URL patterns of the documentation of rules keyed by plugin prefix or linter, e.g. `{ "react": "https://.../{{rule}}.md" }`',
+  },
+  {
+    name: 'templates',
+    type: 'object',
+    cli: false,
+    description: 'Templates of the comments: `message`, `labels`, `emoji`, `fix` and guidance by rule in `rules`',
+  },
+  {
+    name: 'record',
+    type: 'string',
+    arg: '<file>',
+    description: 'Records the requests to the provider and their responses to a cassette file, credentials scrubbed',
+  },
+  {
+    name: 'replay',
+    type: 'string',
+    arg: '<file>',
+    description: 'Answers the requests to the provider from a cassette file instead of the provider',
+  },
+  {
+    name: 'reportFile',
+    type: 'string',
+    arg: '<file>',
+    description: 'Writes what the run did to a JSON file: every lint message, comment and request',
+  },
+  {
+    name: 'logFormat',
+    type: 'string',
+    values: ['text', 'json'],
+    default: 'text',
+    arg: '<format>',
+    description: 'Prints `text` lines or `json` objects with a time, level and message per line',
+  },
+  {
+    name: 'logLevel',
+    type: 'string',
+    values: ['debug', 'info', 'warn', 'error'],
+    default: 'debug',
+    arg: '<level>',
+    description: 'Lines below this level are not printed',
+  },
+  {
+    name: 'mode',
+    type: 'string',
+    values: ['review', 'checks'],
+    provider: true,
+    arg: '<mode>',
+    description: 'github: comments a `review` or annotates a `checks` run',
+  },
+  {
+    name: 'base',
+    type: 'string',
+    provider: true,
+    arg: '<ref>',
+    description: 'local: revision the changes are compared to',
+  },
+  {
+    name: 'head',
+    type: 'string',
+    provider: true,
+    arg: '<ref>',
+    description: 'local: revision that is linted, defaults to HEAD',
+  },
+  {
+    name: 'output',
+    type: 'string',
+    provider: true,
+    arg: '<file>',
+    description: 'local: writes the comments to a file instead of printing them',
+  },
+  {
+    name: 'providers',
+    type: 'object',
+    cli: false,
+    description: 'Options of each provider keyed by provider name',
+  },
+  {
+    name: 'config',
+    type: 'string',
+    rc: false,
+    arg: '<file>',
+    description: 'lintbot configuration file, `.lintbotrc` is looked up when omitted',
+  },
+  {
+    name: 'help',
+    alias: 'h',
+    type: 'boolean',
+    rc: false,
+    description: 'Prints this help',
+  },
+];
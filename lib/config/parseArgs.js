@@ -0,0 +1,106 @@
+const ConfigError = require('../errors/ConfigError');
+
+const toKebabCase = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+/**
+ * @param {string} value
+ * @param {object} option
+ * @param {string} flag
+ * @returns {*} value converted to the type of the option
+ */
+function coerce(value, option, flag) {
+  if (value === undefined) {
+    throw new ConfigError(`Option ${flag} expects a value ${option.arg}`);
+  }
+  if (option.type === 'number') {
+    if (!/^-?\d+$/.test(value)) {
+      throw new ConfigError(`Option ${flag} expects a number, got "${value}"`);
+    }
+    return Number(value);
+  }
+  if (option.type === 'string[]') {
+    return value.split(',').filter(v => v !== '');
+  }
+  return value;
+}
+
+/**
+ * Parses command line arguments against the options of lintbot, values are not validated.
+ *
+ * @param {string[]} argv arguments without the paths to `node` and `lintbot`
+ * @param {object[]} options see `lib/config/options.js`
+ * @returns {object} values of the flags keyed by option name and the positional arguments
+ * @example
+ * parseArgs(['local', '--base=main', '-d', '--no-summary', '--exclude', 'dist/**'], options);
+ * // => {
+ * //   values: { base: 'main', dryRun: true, summary: false, exclude: ['dist/**'] },
+ * //   positionals: ['local'],
+ * // }
+ */
+function parseArgs(argv, options) {
+  const values = {};
+  const positionals = [];
+  const cliOptions = options.filter(o => o.cli !== false);
+  const args = argv.slice();
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    if (arg === '--') {
+      positionals.push(...args);
+      break;
+    }
+
+    const [, alias] = arg.match(/^-([a-zA-Z])$/) || [];
+    const [, name, inlineValue] = arg.match(/^--([^=]+)(?:=(.*))?$/) || [];
+
+    if (alias) {
+      const option = cliOptions.find(o => o.alias === alias);
+      if (!option) {
+        throw new ConfigError(`Unknown option ${arg}`);
+      }
+      values[option.name] = option.type === 'boolean'
+        ? true
+        : coerce(args.shift(), option, arg);
+    } else if (name) {
+      const negated = name.startsWith('no-');
+      const option = cliOptions.find(o => toKebabCase(o.name) === name)
+        || (negated && cliOptions.find(o => o.type === 'boolean' && toKebabCase(o.name) === name.slice(3)));
+      if (!option) {
+        throw new ConfigError(`Unknown option --${name}`);
+      }
+
+      if (option.type === 'boolean') {
+        let value = inlineValue;
+        // `--summary false` is accepted as well as `--summary=false`
+        if (value === undefined && !negated && ['true', 'false'].includes(args[0])) {
+          value = args.shift();
+        }
+        if (value !== undefined && !['true', 'false'].includes(value)) {
+          throw new ConfigError(`Option --${name} expects true or false, got "${value}"`);
+        }
+        values[option.name] = negated ? false : value !== 'false';
+      } else {
+        const value = coerce(
+          inlineValue !== undefined ? inlineValue : args.shift(),
+          option,
+          `--${name}`,
+        );
+        // Lists accumulate, e.g. `--exclude dist/** --exclude **/*.min.js`
+        values[option.name] = option.type === 'string[]' && values[option.name]
+          ? values[option.name].concat(value)
+          : value;
+      }
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      throw new ConfigError(`Unknown option ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { values, positionals };
+}
+
+parseArgs.toKebabCase = toKebabCase;
+
+module.exports = parseArgs;
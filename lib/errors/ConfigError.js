@@ -0,0 +1,8 @@
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+module.exports = ConfigError;
@@ -2,6 +2,9 @@ class FetchError extends Error {
   constructor(res) {
     super(`HTTP request response ${res.status} ${res.statusText}`);
     this.response = res;
+    this.status = res.status;
+    // Rate limit headers decide how long requests are paused, see `lib/helpers/rateLimit.js`
+    this.headers = res.headers;
   }
 }
 
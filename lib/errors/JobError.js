@@ -0,0 +1,17 @@
+class JobError extends Error {
+  /**
+   * @param {object} job job of `FetchParallel` that failed
+   * @param {Error} err last error of the job
+   */
+  constructor(job, err) {
+    super(`Job ${job.name || job.id} failed after ${job.retry} attempts: ${err.message}`);
+    this.job = {
+      id: job.id,
+      name: job.name,
+      meta: job.meta,
+    };
+    this.cause = err;
+  }
+}
+
+module.exports = JobError;
@@ -0,0 +1,14 @@
+class JobsError extends Error {
+  /**
+   * @param {JobError[]} errors errors of the jobs that failed since the last yield
+   * @param {number} cancelled number of jobs that were cancelled
+   */
+  constructor(errors, cancelled = 0) {
+    const cancelledText = cancelled > 0 ? `, ${cancelled} cancelled` : '';
+    super(`${errors.length} jobs failed${cancelledText}\n${errors.map(err => `  ${err.message}`).join('\n')}`);
+    this.errors = errors;
+    this.cancelled = cancelled;
+  }
+}
+
+module.exports = JobsError;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const util = require('util');
+const fetch = require('node-fetch');
+const redact = require('./redact');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const { Response } = fetch;
+
+/**
+ * @param {*} value parsed JSON
+ * @returns {*} the value with the values of keys such as `token` masked
+ */
+const scrubJSON = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(scrubJSON);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.keys(value).reduce((result, key) => ({
+      ...result,
+      [key]: redact.isSecretName(key) && typeof value[key] === 'string'
+        ? redact.MASK
+        : scrubJSON(value[key]),
+    }), {});
+  }
+  return value;
+};
+
+/**
+ * Records the HTTP requests of a provider and their responses to a file, then serves them back
+ * instead of the provider so that a run can be reproduced offline. Pass `cassette.fetch` to the
+ * provider in place of `node-fetch`.
+ *
+ * Credentials are scrubbed before anything is written: the headers and URLs as in the logs, and
+ * the values of JSON keys such as `token` in the bodies.
+ *
+ * A request is answered by the first unused interaction with the same method, URL and body, or
+ * the same method and URL. Interactions are used in the order they were recorded, a request that
+ * failed with a 5xx and was retried replays the same way. Once every interaction of a request is
+ * used, the last one answers again.
+ *
+ * @param {string} file JSON file of the cassette
+ * @param {object} options
+ * @param {string} options.mode `record` or `replay`
+ * @param {string[]} options.secrets masked wherever they appear, see `redact.secrets`
+ * @param {function} options.fetch requests of the `record` mode, defaults to `node-fetch`
+ * @example
+ * const cassette = new Cassette('github-42.json', { mode: 'record', secrets });
+ * const vcp = new GitHubAPI({ fetch: cassette.fetch });
+ * await vcp.fetchFilePaths();
+ * await cassette.save();
+ *
+ * const replay = new Cassette('github-42.json', { mode: 'replay' });
+ * await replay.load();
+ * await new GitHubAPI({ fetch: replay.fetch }).fetchFilePaths();
+ * // => ['client/app.js'], without a request to GitHub
+ */
+class Cassette {
+  constructor(file, {
+    mode,
+    secrets = [],
+    fetch: recordFetch = fetch,
+  } = {}) {
+    this.file = file;
+    this.mode = mode;
+    this.secrets = secrets;
+    this.recordFetch = recordFetch;
+    this.interactions = [];
+    this.used = new Set();
+    this.fetch = this.mode === 'record'
+      ? (url, init) => this.record(url, init)
+      : (url, init) => this.replay(url, init);
+  }
+
+  /**
+   * Reads the interactions of the file, for the `replay` mode.
+   */
+  async load() {
+    const { interactions } = JSON.parse(await readFile(this.file, 'utf8'));
+    this.interactions = interactions;
+  }
+
+  /**
+   * Writes the interactions to the file, for the `record` mode.
+   */
+  async save() {
+    await writeFile(this.file, JSON.stringify({
+      version: Cassette.VERSION,
+      interactions: this.interactions,
+    }, null, 2));
+  }
+
+  /**
+   * @param {string} url
+   * @param {object} init options of `fetch`
+   * @returns {Promise<Response>}
+   */
+  async record(url, init = {}) {
+    const request = this.scrubRequest(url, init);
+
+    let res;
+    try {
+      res = await this.recordFetch(url, init);
+    } catch (err) {
+      // Requests that lintbot aborted itself, e.g. on a timeout, are not part of the provider's
+      // behavior
+      if (err.name !== 'AbortError') {
+        this.interactions.push({ request, error: { message: redact(err.message, this.secrets) } });
+      }
+      throw err;
+    }
+
+    const body = await res.text();
+    this.interactions.push({
+      request,
+      response: {
+        status: res.status,
+        statusText: res.statusText,
+        headers: redact.headers(res.headers, this.secrets),
+        body: this.scrubBody(body, res.headers.get('content-type')),
+      },
+    });
+
+    return new Response(body, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+      url: res.url,
+    });
+  }
+
+  /**
+   * @param {string} url
+   * @param {object} init options of `fetch`
+   * @returns {Promise<Response>}
+   * @throws {Error} when the cassette has no interaction for the request
+   */
+  async replay(url, init = {}) {
+    if (init.signal && init.signal.aborted) {
+      const err = new Error('The user aborted a request.');
+      err.name = 'AbortError';
+      throw err;
+    }
+
+    const request = this.scrubRequest(url, init);
+    const candidates = this.interactions
+      .filter(i => i.request.method === request.method && i.request.url === request.url);
+    const unused = candidates.filter(i => !this.used.has(i));
+    const interaction = unused.find(i => i.request.body === request.body)
+      || unused[0]
+      || candidates[candidates.length - 1];
+    if (!interaction) {
+      throw new Error(`No recorded response for ${request.method} ${request.url} in ${this.file}`);
+    }
+    this.used.add(interaction);
+
+    if (interaction.error) {
+      throw new Error(interaction.error.message);
+    }
+    const { response } = interaction;
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      url: request.url,
+    });
+  }
+
+  scrubRequest(url, { method = 'GET', headers = {}, body = null }) {
+    const scrubbedHeaders = redact.headers(headers, this.secrets);
+    return {
+      method,
+      url: redact(url, this.secrets),
+      headers: scrubbedHeaders,
+      body: typeof body === 'string' ? this.scrubBody(body, scrubbedHeaders['content-type']) : null,
+    };
+  }
+
+  /**
+   * @param {string} body
+   * @param {string} contentType only JSON bodies are parsed, files are kept byte for byte
+   * @returns {string}
+   */
+  scrubBody(body, contentType) {
+    if (/\bjson\b/.test(contentType || '')) {
+      try {
+        return redact(JSON.stringify(scrubJSON(JSON.parse(body))), this.secrets);
+      } catch (err) {
+        // Not JSON after all
+      }
+    }
+    return redact(body, this.secrets);
+  }
+}
+
+Cassette.VERSION = 1;
+
+module.exports = Cassette;
@@ -1,14 +1,34 @@
+const EventEmitter = require('events');
 const AbortController = require('abort-controller');
 const TimeoutError = require('../errors/TimeoutError');
+const JobError = require('../errors/JobError');
+const JobsError = require('../errors/JobsError');
 const invariant = require('./invariant');
+const rateLimit = require('./rateLimit');
 
 /**
+ * Runs jobs in parallel, a job is a function of an `AbortSignal` that returns a promise.
+ *
+ * Events, each listener receives the job `{ id, name, meta, retry }`:
+ * - `start` an attempt of the job starts
+ * - `retry` the job failed and is retried, with the error and the delay before the retry
+ * - `finish` the job succeeded or failed for good, with its result or its `JobError`
+ * - `pause` the queue is paused for a number of milliseconds because of a rate limit, without a
+ * job
+ *
  * @param {object} options
  * @param {number} options.limit max number of requests in parallel
  * @param {number} options.retry max number of retries
  * @param {(Error) => boolean} options.shouldRetry function that decides whether or not a request
  * should be retried based on the error
  * @param {number} options.timeoutMs max time a request can be pending before it should timeout
+ * @param {number} options.retryDelayMs delay before the first retry, it doubles with every retry
+ * and is randomized by up to half to spread retries out
+ * @param {number} options.maxRetryDelayMs max delay between retries
+ * @param {number} options.maxRateLimitWaitMs max time the queue is paused when a request is rate
+ * limited, a job that would have to wait longer fails
+ * @param {boolean|(Error) => boolean} options.failFast cancels every other job when a job fails,
+ * or when the function returns true for the error of the job
  * @example
  * const dispatcher = new FetchParallel({
  *   limit: 4,
@@ -20,7 +40,7 @@ const invariant = require('./invariant');
  * const resolveJob = (msg, time) => (signal) => new Promise((resolve) => setTimeout(() => {
  *   log(msg);
  *   if (!signal.aborted) {
- *     resolve();
+ *     resolve(msg);
  *   }
  * }, time));
  *
@@ -32,68 +52,145 @@ const invariant = require('./invariant');
  *   }, time))
  * };
  *
- * dispatcher.add(resolveJob('1', 1000));
+ * dispatcher.on('retry', (job, err) => log(`${job.name} ${err.message}`));
+ *
+ * dispatcher.add(resolveJob('1', 1000), { name: 'one' });
  * dispatcher.add(resolveJob('2', 1500));
- * dispatcher.add(resolveJob('3', 500));
- * dispatcher.add(rejectJob('4', 3000));
+ * dispatcher.add(resolveJob('3', 500), { priority: 'high' });
+ * dispatcher.add(rejectJob('4', 3000), { name: 'four', meta: { path: 'client/app.js' } });
  * dispatcher.add(resolveJob('5', 600));
- * dispatcher.add(resolveJob('6', 1200));
+ * dispatcher.add(resolveJob('6', 1200), { priority: 'low' });
  * dispatcher.add(resolveJob('7', 1300));
  * dispatcher.add(resolveJob('8', 300));
  */
-class FetchParallel {
+class FetchParallel extends EventEmitter {
   constructor({
     limit,
     retry = 3,
     shouldRetry = err => err instanceof TimeoutError,
     timeoutMs = 15000,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 30000,
+    maxRateLimitWaitMs = 300000,
+    failFast = false,
   } = {}) {
+    super();
     this.limit = limit;
     this.timeoutMs = timeoutMs;
     this.retryLimit = retry;
     this.shouldRetry = shouldRetry;
-    this.waitingJobs = [];
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.maxRateLimitWaitMs = maxRateLimitWaitMs;
+    this.isFatal = typeof failFast === 'function' ? failFast : () => failFast;
+    // No job starts before this time once a request was rate limited
+    this.pausedUntil = 0;
+    this.pauseTimeoutId = null;
+    // Jobs that have not started yet, first in first out within each priority
+    this.waitingJobs = FetchParallel.PRIORITIES.reduce((lanes, p) => ({ ...lanes, [p]: [] }), {});
     this.pendingJobs = {};
     this.jobIdCounter = 0;
     this.yieldPromise = null;
     this.yieldResolve = null;
     this.yieldReject = null;
     this.yieldErrors = [];
+    this.yieldResults = [];
+    this.yieldCancelled = 0;
   }
 
   /**
    * Adds the job to the queue and executes it if the parallel limit has not been reached.
    *
-   * @param {(AbortSignal) => Promise} job
+   * @param {(AbortSignal) => Promise} fn
+   * @param {object} options
+   * @param {string} options.name identifies the job in errors and events
+   * @param {*} options.meta anything that is handed back with the result of the job
+   * @param {string} options.priority one of `FetchParallel.PRIORITIES`, jobs of a higher priority
+   * start first
+   * @returns {number} id of the job
    * @example
-   * dispatcher.add((signal) => fetch('https://...', { signal }))
+   * dispatcher.add((signal) => fetch('https://...', { signal }), { name: 'fetch', priority: 'low' })
    */
-  add(job) {
+  add(fn, { name = null, meta = null, priority = 'normal' } = {}) {
+    invariant(
+      FetchParallel.PRIORITIES.includes(priority),
+      `Unsupported priority "${priority}", expected one of ${FetchParallel.PRIORITIES.join(', ')}`,
+    );
+
     if (this.waitingJobsCount === 0 && this.pendingJobsCount === 0) {
       this.yieldPromise = new Promise((resolve, reject) => {
         this.yieldResolve = resolve;
         this.yieldReject = reject;
       });
       this.yieldErrors = [];
+      this.yieldResults = [];
+      this.yieldCancelled = 0;
     }
-    this.waitingJobs.unshift(job);
+
+    const job = {
+      id: this.newJobId(),
+      // Results are yielded in the order the jobs were added
+      index: this.yieldResults.length,
+      name,
+      meta,
+      fn,
+      retry: 0,
+      timeoutId: null,
+      retryTimeoutId: null,
+      abortController: null,
+    };
+    this.yieldResults.push(undefined);
+    this.waitingJobs[priority].push(job);
     this.tryDispatch();
+    return job.id;
   }
 
   /**
-   * Resolves when all pending jobs resolve.
+   * Resolves when all pending jobs resolve, with the results of the jobs that were added since
+   * the last yield. Rejects with a `JobsError` when a job failed.
    *
-   * @returns {Promise}
+   * @returns {Promise<object[]>}
    * @example
-   * dispatcher.add((signal) => fetch('https://...', { signal }))
-   * dispatcher.add((signal) => fetch('https://...', { signal }))
-   * dispatcher.add((signal) => fetch('https://...', { signal }))
+   * dispatcher.add((signal) => fetch('https://...', { signal }), { name: 'a' })
+   * dispatcher.add((signal) => fetch('https://...', { signal }), { name: 'b' })
+   * dispatcher.add((signal) => fetch('https://...', { signal }), { name: 'c' })
    * dispatcher.pendingJobsCount // => 3
    * await dispatcher.yield()
+   * // => [
+   * //   { id: 0, name: 'a', meta: null, result: Response },
+   * //   { id: 1, name: 'b', meta: null, result: Response },
+   * //   { id: 2, name: 'c', meta: null, result: Response },
+   * // ]
    * dispatcher.pendingJobsCount // => 0
    */
   yield() {
-    return this.yieldPromise;
+    return this.yieldPromise || Promise.resolve([]);
+  }
+
+  /**
+   * Aborts every pending job and drops the waiting ones, `yield` rejects.
+   *
+   * @param {Error} reason
+   */
+  cancel(reason) {
+    clearTimeout(this.pauseTimeoutId);
+    this.pauseTimeoutId = null;
+    this.pausedUntil = 0;
+
+    const waiting = FetchParallel.PRIORITIES
+      .reduce((jobs, p) => jobs.concat(this.waitingJobs[p].splice(0)), []);
+    const pending = Object.keys(this.pendingJobs).map(jobId => this.pendingJobs[jobId]);
+    pending.forEach((job) => {
+      clearTimeout(job.timeoutId);
+      clearTimeout(job.retryTimeoutId);
+      if (job.abortController) {
+        job.abortController.abort(reason);
+      }
+      delete this.pendingJobs[job.id];
+    });
+
+    this.yieldCancelled += waiting.length + pending.length;
+    this.yieldIfComplete();
   }
 
   get pendingJobsCount() {
@@ -102,96 +199,168 @@ class FetchParallel {
   }
 
   get waitingJobsCount() {
-    return this.waitingJobs.length;
+    return FetchParallel.PRIORITIES.reduce((n, p) => n + this.waitingJobs[p].length, 0);
+  }
+
+  get isPaused() {
+    return this.pausedUntil > Date.now();
   }
 
   tryDispatch() {
-    if (this.waitingJobsCount > 0 && this.pendingJobsCount < this.limit) {
-      this.dispatch(this.newJobId());
-    } else {
-      this.yieldIfComplete();
+    while (this.waitingJobsCount > 0 && this.pendingJobsCount < this.limit && !this.isPaused) {
+      const priority = FetchParallel.PRIORITIES.find(p => this.waitingJobs[p].length > 0);
+      const job = this.waitingJobs[priority].shift();
+      this.pendingJobs[job.id] = job;
+      this.dispatch(job.id);
     }
+    this.yieldIfComplete();
   }
 
   dispatch(jobId) {
-    if (this.pendingJobs[jobId] === undefined) {
-      this.pendingJobs[jobId] = {
-        id: jobId,
-        fn: this.waitingJobs.pop(),
-        retry: 0,
-        timeoutId: null,
-        abortController: null,
-      };
-    }
-
     const job = this.pendingJobs[jobId];
     job.retry += 1;
+    // Attempts that timed out may still settle, only the latest attempt counts
+    const attempt = job.retry;
     job.timeoutId = setTimeout(
-      () => this.timeout(jobId, job.retry),
+      () => this.timeout(jobId, attempt),
       this.timeoutMs,
     );
     job.abortController = new AbortController();
+    this.emit('start', FetchParallel.describe(job));
     job
       .fn(job.abortController.signal)
-      .then((...args) => this.resolve(jobId, args))
-      .catch(err => this.reject(jobId, err));
+      .then(result => this.resolve(jobId, attempt, result))
+      .catch(err => this.reject(jobId, attempt, err));
   }
 
-  resolve(jobId) {
+  resolve(jobId, attempt, result) {
     const job = this.pendingJobs[jobId];
-    invariant(
-      typeof job === 'object',
-      `Job ${jobId} is not an object, it is ${typeof job}`,
-    );
+    if (!job || job.retry !== attempt) {
+      return;
+    }
 
     clearTimeout(job.timeoutId);
     delete this.pendingJobs[jobId];
+    this.yieldResults[job.index] = { ...FetchParallel.describe(job), result };
+    this.emit('finish', FetchParallel.describe(job), result, null);
     this.tryDispatch();
   }
 
-  reject(jobId, err) {
+  reject(jobId, attempt, err) {
     const job = this.pendingJobs[jobId];
-    invariant(
-      typeof job === 'object',
-      `Job ${jobId} is not an object, it is ${typeof job}`,
-    );
+    if (!job || job.retry !== attempt) {
+      return;
+    }
 
     clearTimeout(job.timeoutId);
-    if (this.shouldRetry(err) && job.retry < this.retryLimit) {
-      this.dispatch(jobId);
-    } else {
-      delete this.pendingJobs[jobId];
-      this.yieldErrors.push(err);
-      this.yieldIfComplete();
-    }
+    this.retryOrFail(job, err);
   }
 
-  timeout(jobId) {
+  timeout(jobId, attempt) {
     const job = this.pendingJobs[jobId];
+    invariant(
+      typeof job === 'object' && job.retry === attempt,
+      `Job ${jobId} timed out after it settled`,
+    );
     const err = new TimeoutError(job);
 
     job.abortController.abort(err);
-    if (this.shouldRetry(err) && job.retry < this.retryLimit) {
-      this.dispatch(jobId);
-    } else {
-      delete this.pendingJobs[jobId];
-      this.yieldErrors.push(err);
-      this.yieldIfComplete();
+    this.retryOrFail(job, err);
+  }
+
+  /**
+   * Retries the job after a delay, a rate limited job pauses the whole queue until the limit
+   * resets.
+   *
+   * @param {object} job
+   * @param {Error} err
+   */
+  retryOrFail(job, err) {
+    const rateLimitMs = rateLimit(err);
+    const isRateLimited = rateLimitMs !== null;
+
+    if (job.retry >= this.retryLimit
+      || (!isRateLimited && !this.shouldRetry(err))
+      || (isRateLimited && rateLimitMs > this.maxRateLimitWaitMs)) {
+      delete this.pendingJobs[job.id];
+      const jobError = new JobError(job, err);
+      this.yieldErrors.push(jobError);
+      this.emit('finish', FetchParallel.describe(job), null, jobError);
+      if (this.isFatal(err)) {
+        this.cancel(jobError);
+      } else {
+        this.tryDispatch();
+      }
+      return;
+    }
+
+    const backoffMs = this.backoff(job.retry);
+    const delayMs = isRateLimited ? Math.max(rateLimitMs, backoffMs) : backoffMs;
+    if (isRateLimited) {
+      this.pause(delayMs);
+    }
+    this.emit('retry', FetchParallel.describe(job), err, delayMs);
+    this.retryLater(job.id, backoffMs);
+  }
+
+  /**
+   * @param {number} retry number of attempts so far
+   * @returns {number} exponential delay with jitter
+   */
+  backoff(retry) {
+    const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * (2 ** (retry - 1)));
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  /**
+   * Stops dispatching jobs, jobs that are already running finish.
+   *
+   * @param {number} ms
+   */
+  pause(ms) {
+    const pausedUntil = Date.now() + ms;
+    if (pausedUntil <= this.pausedUntil) {
+      return;
     }
+    this.pausedUntil = pausedUntil;
+    clearTimeout(this.pauseTimeoutId);
+    this.emit('pause', ms);
+    this.pauseTimeoutId = setTimeout(() => {
+      this.pauseTimeoutId = null;
+      this.tryDispatch();
+    }, ms);
+  }
+
+  /**
+   * @param {number} jobId
+   * @param {number} delayMs dispatches the job after this delay or once the queue resumes
+   */
+  retryLater(jobId, delayMs) {
+    const job = this.pendingJobs[jobId];
+    job.retryTimeoutId = setTimeout(() => {
+      job.retryTimeoutId = null;
+      if (this.isPaused) {
+        this.retryLater(jobId, this.pausedUntil - Date.now());
+      } else {
+        this.dispatch(jobId);
+      }
+    }, delayMs);
   }
 
   yieldIfComplete() {
-    if (this.pendingJobsCount === 0) {
+    if (this.pendingJobsCount === 0 && this.waitingJobsCount === 0) {
       if (this.yieldPromise) {
-        if (this.yieldErrors.length === 0) {
-          this.yieldResolve();
+        if (this.yieldErrors.length === 0 && this.yieldCancelled === 0) {
+          this.yieldResolve(this.yieldResults);
         } else {
-          this.yieldReject(this.yieldErrors);
+          this.yieldReject(new JobsError(this.yieldErrors, this.yieldCancelled));
         }
         this.yieldPromise = null;
         this.yieldResolve = null;
         this.yieldReject = null;
         this.yieldErrors = [];
+        this.yieldResults = [];
+        this.yieldCancelled = 0;
       }
     }
   }
@@ -203,4 +372,22 @@ class FetchParallel {
   }
 }
 
+/**
+ * @param {object} job
+ * @returns {object} what is public about the job
+ */
+FetchParallel.describe = ({
+  id,
+  name,
+  meta,
+  retry,
+}) => ({
+  id,
+  name,
+  meta,
+  retry,
+});
+
+FetchParallel.PRIORITIES = ['high', 'normal', 'low'];
+
 module.exports = FetchParallel;
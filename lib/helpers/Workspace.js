@@ -0,0 +1,67 @@
+const util = require('util');
+const childProcess = require('child_process');
+
+const execFile = util.promisify(childProcess.execFile);
+
+/**
+ * Git checkout of the pull request, usually the one CI clones before running `lintbot`. Files are
+ * read from the commit instead of the working tree, build steps and symbolic links cannot change
+ * what is linted.
+ *
+ * @param {string} dir directory of the checkout
+ * @param {object} logger
+ * @example
+ * const workspace = new Workspace('.', console);
+ * if (await workspace.isAt(vcp.getHeadSha())) {
+ *   await workspace.readFile(vcp.getHeadSha(), 'client/app.js');
+ *   // => 'const file = "app.js"'
+ * }
+ */
+class Workspace {
+  constructor(dir, logger = console) {
+    this.dir = dir;
+    this.logger = logger;
+  }
+
+  /**
+   * @param {string} sha full or abbreviated commit
+   * @returns {Promise<boolean>} whether `HEAD` of the checkout is the commit
+   */
+  async isAt(sha) {
+    try {
+      const [headSha, commitSha] = await Promise.all([
+        this.git(['rev-parse', '--verify', 'HEAD^{commit}']),
+        this.git(['rev-parse', '--verify', `${sha}^{commit}`]),
+      ]);
+      return headSha.trim() === commitSha.trim();
+    } catch (err) {
+      // Not a git repository or the commit was not fetched
+      this.logger.debug(`Workspace ${this.dir} is not at ${sha}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} sha
+   * @param {string} path Path without the leading slash
+   * @param {AbortSignal} signal
+   * @returns {Promise<string>}
+   */
+  async readFile(sha, path, signal) {
+    const file = await this.git(['show', `${sha}:${path}`], signal);
+    return file;
+  }
+
+  async git(args, signal) {
+    this.logger.debug('git', ...args);
+
+    const { stdout } = await execFile('git', args, {
+      cwd: this.dir,
+      signal,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,74 @@
+const diffScope = require('./diffScope');
+
+const key = (message, line) => [message.linter, message.ruleId, message.message, line].join('\n');
+
+/**
+ * Finds the lint messages that the file already had before the change, a message existed when the
+ * old file has the same message on the line that the diff maps it to. Messages on added lines are
+ * always new.
+ *
+ * @param {LintMessage[]} messages messages of the new file
+ * @param {LintMessage[]} baseMessages messages of the old file
+ * @param {object} diff File parsed by `parse-diff`, `null` when the file is unchanged
+ * @returns {Set<LintMessage>} messages of the new file that existed
+ * @example
+ * baseline(messages, baseMessages, diff.find(f => f.to === 'client/app.js'));
+ * // => Set { { line: 14, ruleId: 'no-var', message: 'Unexpected var, ...' } }
+ */
+function baseline(messages, baseMessages, diff) {
+  const baseCounts = new Map();
+  baseMessages.forEach((message) => {
+    const k = key(message, message.line);
+    baseCounts.set(k, (baseCounts.get(k) || 0) + 1);
+  });
+
+  const existing = new Set();
+  messages.forEach((message) => {
+    if (diff && diffScope.lineType(diff, message.line) === 'add') {
+      return;
+    }
+    const k = key(message, diff ? diffScope.oldLine(diff, message.line) : message.line);
+    if (baseCounts.get(k) > 0) {
+      baseCounts.set(k, baseCounts.get(k) - 1);
+      existing.add(message);
+    }
+  });
+  return existing;
+}
+
+/**
+ * Finds the lint messages that a suppressions file accepts, the format of ESLint's
+ * `eslint-suppressions.json`. When a file has more messages of a rule than the count allows, the
+ * new ones cannot be told apart and none of them are suppressed.
+ *
+ * @param {LintMessage[]} messages messages of the file
+ * @param {string} path
+ * @param {object} suppressions counts of accepted messages by path and rule
+ * @returns {Set<LintMessage>} messages that are accepted
+ * @example
+ * baseline.suppressed(messages, 'client/app.js', {
+ *   'client/app.js': { 'no-var': { count: 2 } },
+ * });
+ * // => Set { { line: 14, ruleId: 'no-var', ... }, { line: 20, ruleId: 'no-var', ... } }
+ */
+baseline.suppressed = (messages, path, suppressions) => {
+  const rules = suppressions[path] || {};
+  const messagesByRule = new Map();
+  messages.forEach((message) => {
+    messagesByRule.set(
+      message.ruleId,
+      (messagesByRule.get(message.ruleId) || []).concat(message),
+    );
+  });
+
+  const suppressed = new Set();
+  messagesByRule.forEach((ruleMessages, ruleId) => {
+    const { count = 0 } = rules[ruleId] || {};
+    if (ruleMessages.length <= count) {
+      ruleMessages.forEach(message => suppressed.add(message));
+    }
+  });
+  return suppressed;
+};
+
+module.exports = baseline;
@@ -0,0 +1,62 @@
+const util = require('util');
+const redact = require('./redact');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Method of the logger for each level, `log` is `info`
+const METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+/**
+ * Wraps a logger to leave out the lines below a level, mask credentials and optionally print each
+ * line as a JSON object for CI log processors. Lines keep going to the method of their level,
+ * warnings and errors to stderr with `console`.
+ *
+ * @param {object} options
+ * @param {object} options.logger `console` or an object with the same methods
+ * @param {string} options.format `text` or `json`, one object per line with `time`, `level` and
+ * `message`
+ * @param {string} options.level lowest level that is printed, one of `createLogger.LEVELS`
+ * @param {string[]} options.secrets masked wherever they appear, see `redact.secrets`
+ * @returns {object} logger with `debug`, `log`, `info`, `warn` and `error`
+ * @example
+ * const logger = createLogger({ logger: console, format: 'json', level: 'info' });
+ * logger.debug('GET', 'https://api.github.com/user');
+ * // prints nothing
+ * logger.warn('fetchFile client/app.js failed on attempt 1');
+ * // prints {"time":"2019-05-04T21:14:09.201Z","level":"warn","message":"fetchFile client/..."}
+ */
+function createLogger({
+  logger = console,
+  format = 'text',
+  level = 'debug',
+  secrets = [],
+} = {}) {
+  const minLevel = LEVELS.indexOf(level);
+
+  const print = lineLevel => (...args) => {
+    if (LEVELS.indexOf(lineLevel) < minLevel) {
+      return;
+    }
+    const message = redact(util.format(...args), secrets);
+    logger[METHODS[lineLevel]](format === 'json'
+      ? JSON.stringify({ time: new Date().toISOString(), level: lineLevel, message })
+      : message);
+  };
+
+  return {
+    debug: print('debug'),
+    log: print('info'),
+    info: print('info'),
+    warn: print('warn'),
+    error: print('error'),
+  };
+}
+
+createLogger.LEVELS = LEVELS;
+
+module.exports = createLogger;
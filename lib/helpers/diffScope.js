@@ -0,0 +1,68 @@
+const invariant = require('./invariant');
+
+/**
+ * Decides whether a line of the new file should be commented on.
+ *
+ * @param {object} file File parsed by `parse-diff`
+ * @param {number} line Line number in the new file
+ * @param {string} scope One of `diffScope.SCOPES`
+ * - `added` lines that were added by the change
+ * - `hunks` lines that are shown in the diff, added lines and their context
+ * - `file` any line of the file
+ * @returns {boolean}
+ * @example
+ * diffScope(diff.find(f => f.to === 'client/app.js'), 12, 'added');
+ * // => true
+ */
+function diffScope(file, line, scope) {
+  invariant(
+    diffScope.SCOPES.includes(scope),
+    `Unsupported scope "${scope}", expected one of ${diffScope.SCOPES.join(', ')}`,
+  );
+
+  if (scope === 'file') {
+    return true;
+  }
+
+  const type = diffScope.lineType(file, line);
+  return scope === 'added' ? type === 'add' : type !== null;
+}
+
+diffScope.SCOPES = ['added', 'hunks', 'file'];
+
+/**
+ * @param {object} file File parsed by `parse-diff`
+ * @param {number} line Line number in the new file
+ * @returns {string|null} `add` or `normal` if the line is part of a hunk, otherwise `null`
+ */
+diffScope.lineType = (file, line) => {
+  const change = file.chunks
+    .map(chunk => chunk.changes.find(c => c.type !== 'del' && (c.ln2 || c.ln) === line))
+    .find(c => c !== undefined);
+  return change ? change.type : null;
+};
+
+/**
+ * Maps a line that was not added by the change to its line number in the old file.
+ *
+ * @param {object} file File parsed by `parse-diff`
+ * @param {number} line Line number in the new file
+ * @returns {number}
+ */
+diffScope.oldLine = (file, line) => {
+  let offset = 0;
+  for (let i = 0; i < file.chunks.length; i += 1) {
+    const chunk = file.chunks[i];
+    if (line < chunk.newStart) {
+      break;
+    }
+    const change = chunk.changes.find(c => c.type === 'normal' && c.ln2 === line);
+    if (change) {
+      return change.ln1;
+    }
+    offset = (chunk.newStart + chunk.newLines) - (chunk.oldStart + chunk.oldLines);
+  }
+  return line - offset;
+};
+
+module.exports = diffScope;
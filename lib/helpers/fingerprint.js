@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * Identifies a lint message independently of its line number, so that a comment is kept when
+ * unrelated lines above it change.
+ *
+ * @param {object} options
+ * @param {string} options.path
+ * @param {string} options.ruleId
+ * @param {string} options.source Source code of the line the message is on
+ * @param {string} options.message
+ * @returns {string}
+ * @example
+ * fingerprint({
+ *   path: 'client/app.js',
+ *   ruleId: 'semi',
+ *   source: 'const file = "app.js"',
+ *   message: 'Missing semicolon.',
+ * });
+ * // => 'd36bcca498d8b0b9d7e8'
+ */
+function fingerprint({
+  path,
+  ruleId,
+  source,
+  message,
+}) {
+  const normalizedSource = source.trim().replace(/\s+/g, ' ');
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([path, ruleId || '', normalizedSource, message]))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Identifies a comment that groups several lint messages, a comment with a single message keeps
+ * the fingerprint of the message.
+ *
+ * @param {string[]} fps fingerprints of the messages
+ * @returns {string}
+ */
+fingerprint.combine = (fps) => {
+  if (fps.length === 1) {
+    return fps[0];
+  }
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(fps.slice().sort()))
+    .digest('hex')
+    .slice(0, 20);
+};
+
+/**
+ * Appends the fingerprint to the comment body as a hidden marker.
+ *
+ * @param {string} body
+ * @param {string} fp
+ * @returns {string}
+ */
+fingerprint.embed = (body, fp) => `${body}\n\n<!-- lintbot:fingerprint:${fp} -->`;
+
+/**
+ * @param {string} body
+ * @returns {string|null} fingerprint that was embedded in the comment body
+ */
+fingerprint.extract = (body) => {
+  const match = (body || '').match(/<!-- lintbot:fingerprint:([\w-]+) -->/);
+  return match ? match[1] : null;
+};
+
+/**
+ * @param {string} body
+ * @returns {string} comment body without the fingerprint marker
+ */
+fingerprint.remove = body => body.replace(/\n*<!-- lintbot:fingerprint:[\w-]+ -->/, '');
+
+module.exports = fingerprint;
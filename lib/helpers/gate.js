@@ -0,0 +1,60 @@
+const SEVERITY_ERROR = 2;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Decides whether the pull request passes the merge policy.
+ *
+ * @param {object} options
+ * @param {object[]} options.messages every lint message of the pull request
+ * @param {number} options.messages[].severity
+ * @param {boolean} options.messages[].isNew whether the pull request introduced the message
+ * @param {number} options.maxErrors errors above which the pull request fails, unlimited when
+ * omitted
+ * @param {number} options.maxWarnings warnings above which the pull request fails, unlimited when
+ * omitted
+ * @param {boolean} options.newOnly only messages the pull request introduced are counted
+ * @returns {object} the verdict, `null` when no policy is configured
+ * @example
+ * gate({ messages, maxErrors: 0, maxWarnings: 10 });
+ * // => {
+ * //   passed: false,
+ * //   errors: 2,
+ * //   warnings: 4,
+ * //   message: '2 errors, more than the 0 allowed',
+ * // }
+ */
+function gate({
+  messages,
+  maxErrors,
+  maxWarnings,
+  newOnly = false,
+}) {
+  if (maxErrors === undefined && maxWarnings === undefined) {
+    return null;
+  }
+
+  const counted = newOnly ? messages.filter(m => m.isNew) : messages;
+  const errors = counted.filter(m => m.severity === SEVERITY_ERROR).length;
+  const warnings = counted.length - errors;
+  const kind = newOnly ? 'new ' : '';
+
+  const failures = [];
+  if (maxErrors !== undefined && errors > maxErrors) {
+    failures.push(`${plural(errors, `${kind}error`)}, more than the ${maxErrors} allowed`);
+  }
+  if (maxWarnings !== undefined && warnings > maxWarnings) {
+    failures.push(`${plural(warnings, `${kind}warning`)}, more than the ${maxWarnings} allowed`);
+  }
+
+  return {
+    passed: failures.length === 0,
+    errors,
+    warnings,
+    message: failures.length > 0
+      ? failures.join('; ')
+      : `${plural(errors, `${kind}error`)} and ${plural(warnings, `${kind}warning`)}, within the allowed limits`,
+  };
+}
+
+module.exports = gate;
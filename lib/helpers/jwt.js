@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const base64Url = value => Buffer.from(value)
+  .toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+/**
+ * Signs a JSON Web Token with RS256.
+ *
+ * @param {object} payload claims of the token
+ * @param {string} privateKey PEM encoded RSA private key
+ * @returns {string}
+ * @example
+ * jwt({ iss: 42, iat: 1560000000, exp: 1560000600 }, fs.readFileSync('app.pem', 'utf8'));
+ * // => 'eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiOjQyLC...'
+ */
+function jwt(payload, privateKey) {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const body = base64Url(JSON.stringify(payload));
+  const signature = crypto
+    .createSign('RSA-SHA256')
+    .update(`${header}.${body}`)
+    .sign(privateKey);
+  return `${header}.${body}.${base64Url(signature)}`;
+}
+
+module.exports = jwt;
@@ -0,0 +1,55 @@
+// Resets larger than this are epoch seconds, smaller ones are seconds from now
+const EPOCH_THRESHOLD_S = 1e9;
+
+/**
+ * @param {string} value `Retry-After` header, seconds or an HTTP date
+ * @param {number} now
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now) {
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date - now;
+}
+
+/**
+ * Reads how long to wait before the next request from the headers of a response that hit a rate
+ * limit, `Retry-After` first, then `X-RateLimit-Reset` (GitHub) or `RateLimit-Reset` (GitLab,
+ * IETF draft) when no request remains.
+ *
+ * @param {object} err error of a request, `FetchError` has the status and headers
+ * @param {number} now
+ * @returns {number|null} milliseconds to wait, `null` when the request was not rate limited
+ * @example
+ * rateLimit(new FetchError(res));
+ * // => 42000
+ */
+function rateLimit(err, now = Date.now()) {
+  const { status, headers } = err || {};
+  if (!status || !headers) {
+    return null;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const delay = parseRetryAfter(retryAfter, now);
+    if (delay !== null) {
+      return Math.max(0, delay);
+    }
+  }
+
+  const prefix = ['x-ratelimit-', 'ratelimit-']
+    .find(p => headers.get(`${p}remaining`) === '0' && headers.get(`${p}reset`));
+  if (prefix) {
+    const reset = Number(headers.get(`${prefix}reset`));
+    const delay = reset > EPOCH_THRESHOLD_S ? reset * 1000 - now : reset * 1000;
+    return Math.max(0, delay);
+  }
+
+  // Too Many Requests without a hint, the caller backs off
+  return status === 429 ? 0 : null;
+}
+
+module.exports = rateLimit;
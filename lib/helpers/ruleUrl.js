@@ -0,0 +1,29 @@
+const template = require('./template');
+
+/**
+ * Documentation of a rule from URL patterns keyed by the plugin prefix of the rule, e.g. `react`
+ * for `react/jsx-key` or `@typescript-eslint` for `@typescript-eslint/no-unused-vars`, or by the
+ * name of the linter for rules without a prefix. Patterns have the placeholders `{{ruleId}}`,
+ * `{{rule}}` the rule without its prefix and `{{linter}}`.
+ *
+ * @param {string} ruleId
+ * @param {string} linter
+ * @param {object} patterns
+ * @returns {string|null}
+ * @example
+ * ruleUrl('react/jsx-key', 'eslint', {
+ *   react: 'https://github.com/jsx-eslint/eslint-plugin-react/blob/master/docs/rules/{{rule}}.md',
+ * });
+ * // => 'https://github.com/jsx-eslint/eslint-plugin-react/blob/master/docs/rules/jsx-key.md'
+ */
+function ruleUrl(ruleId, linter, patterns) {
+  if (!ruleId) {
+    return null;
+  }
+  const slash = ruleId.lastIndexOf('/');
+  const prefix = slash >= 0 ? ruleId.slice(0, slash) : linter;
+  const pattern = patterns[prefix];
+  return pattern ? template(pattern, { ruleId, rule: ruleId.slice(slash + 1), linter }) : null;
+}
+
+module.exports = ruleUrl;
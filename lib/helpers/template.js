@@ -0,0 +1,22 @@
+/**
+ * Replaces the `{{name}}` placeholders of a template, placeholders without a value are left
+ * empty.
+ *
+ * @param {string} text
+ * @param {object} values
+ * @returns {string}
+ * @example
+ * template('{{emoji}} **Lint {{label}}** {{message}}', {
+ *   emoji: ':warning:',
+ *   label: 'Warning',
+ *   message: 'Missing semicolon.',
+ * });
+ * // => ':warning: **Lint Warning** Missing semicolon.'
+ */
+function template(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+  ));
+}
+
+module.exports = template;
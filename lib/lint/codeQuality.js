@@ -0,0 +1,53 @@
+const SEVERITY = [null, 'minor', 'major'];
+
+/**
+ * Formats lint messages as a GitLab Code Quality report, the Code Climate format GitLab shows
+ * in the merge request widget and in the diff.
+ *
+ * @param {object[]} messages
+ * @param {string} messages[].path
+ * @param {number} messages[].line
+ * @param {number} messages[].severity
+ * @param {string} messages[].ruleId
+ * @param {string} messages[].message
+ * @param {string} messages[].linter
+ * @param {string} messages[].fingerprint
+ * @returns {object[]}
+ * @example
+ * codeQualityReport([{
+ *   path: 'client/app.js',
+ *   line: 1,
+ *   severity: 2,
+ *   ruleId: 'semi',
+ *   message: 'Missing semicolon.',
+ *   linter: 'eslint',
+ *   fingerprint: 'd36bcca498d8b0b9d7e8',
+ * }]);
+ * // => [{
+ * //   type: 'issue',
+ * //   check_name: 'semi',
+ * //   description: 'Missing semicolon.',
+ * //   categories: ['Style'],
+ * //   severity: 'major',
+ * //   fingerprint: 'd36bcca498d8b0b9d7e8',
+ * //   location: { path: 'client/app.js', lines: { begin: 1 } },
+ * // }]
+ */
+function codeQualityReport(messages) {
+  return messages.map(message => ({
+    type: 'issue',
+    check_name: message.ruleId || message.linter,
+    description: message.message,
+    categories: ['Style'],
+    severity: SEVERITY[message.severity] || 'info',
+    fingerprint: message.fingerprint,
+    location: {
+      path: message.path,
+      lines: {
+        begin: message.line,
+      },
+    },
+  }));
+}
+
+module.exports = codeQualityReport;
@@ -1,70 +1,272 @@
+const template = require('../helpers/template');
+
+const SEVERITY_NAME = [null, 'warning', 'error'];
+
 const defaultIndex = (i, d) => (i >= 0 ? i : d);
 const countNewLines = s => (s.match(/\n/g) || []).length;
+const isInsertion = fix => fix.range[0] === fix.range[1];
+
+/**
+ * @param {string} file
+ * @param {object} fix
+ * @param {number[]} fix.range
+ * @param {string} fix.text
+ * @returns {object} the lines that have the fix once it is applied, the number of line breaks
+ * the fix replaces and the first and last lines of `file` the fix replaces
+ * @example
+ * suggestionMessage.fixedSource('const a = 1\nconst b = 2\n', { range: [11, 11], text: ';' });
+ * // => { suggestion: 'const a = 1;', newLinesPreFix: 0, startLine: 1, endLine: 1 }
+ */
+function fixedSource(file, fix) {
+  const [start, end] = fix.range;
+  const fileBeforeStart = file.substring(0, start);
+  const fileAfterEnd = file.substring(end);
+  const fixedFile = fileBeforeStart + fix.text + fileAfterEnd;
+
+  const suggestFrom = defaultIndex(fileBeforeStart.lastIndexOf('\n'), -1) + 1;
+  const suggestTo = defaultIndex(
+    fileAfterEnd.indexOf('\n'),
+    fileAfterEnd.length,
+  );
+  const suggestion = fixedFile.substr(
+    suggestFrom,
+    fileBeforeStart.length - suggestFrom + fix.text.length + suggestTo,
+  );
+
+  const newLinesPreFix = countNewLines(file.substring(start, end));
+  const startLine = countNewLines(fileBeforeStart) + 1;
+
+  return {
+    suggestion,
+    newLinesPreFix,
+    startLine,
+    endLine: startLine + newLinesPreFix,
+  };
+}
+
+/**
+ * Merges fixes into one, a fix that overlaps a previous one is left out. Insertions at the same
+ * position are ambiguous and only the first one is kept.
+ *
+ * @param {string} file
+ * @param {object[]} fixes
+ * @returns {object|null} fix that applies every fix that could be combined
+ * @example
+ * suggestionMessage.combineFixes('var a = 1\n', [
+ *   { range: [9, 9], text: ';' },
+ *   { range: [0, 3], text: 'const' },
+ * ]);
+ * // => { range: [0, 9], text: 'const a = 1;' }
+ */
+function combineFixes(file, fixes) {
+  const combined = fixes
+    .slice()
+    .sort((a, b) => a.range[0] - b.range[0])
+    .reduce((applied, fix) => {
+      const last = applied[applied.length - 1];
+      const overlaps = last && (fix.range[0] < last.range[1]
+        || (fix.range[0] === last.range[1] && isInsertion(fix) && isInsertion(last)));
+      return overlaps ? applied : applied.concat(fix);
+    }, []);
 
-function suggestionMessage({
+  if (combined.length === 0) {
+    return null;
+  }
+  if (combined.length === 1) {
+    return combined[0];
+  }
+
+  const start = combined[0].range[0];
+  const end = combined[combined.length - 1].range[1];
+  let offset = start;
+  const text = combined.reduce((t, fix) => {
+    const between = file.substring(offset, fix.range[0]);
+    [, offset] = fix.range;
+    return t + between + fix.text;
+  }, '');
+  return { range: [start, end], text };
+}
+
+const escapeFences = s => s.replace(/```/g, '\\`\\`\\`');
+
+/**
+ * @param {object} capabilities markdown the provider can render
+ * - `suggestionSnippet` suggestion blocks that replace the line of the comment
+ * - `suggestionSnippetMultiLine` suggestion blocks that replace several lines
+ * - `suggestionSnippetRange` the comment spans the lines of the fix, instead of the suggestion
+ * block giving the lines it replaces relative to the comment with `suggestion:-0+1`
+ * - `codeSnippet` plain code blocks when suggestions are not supported
+ * @param {string} file
+ * @param {object} fix
+ * @param {number} line line the comment is on
+ * @param {string} fixLabel text above a plain code block
+ * @returns {string} markdown that shows the fix, empty when the provider cannot render it
+ */
+function fixSnippet({
   suggestionSnippet,
   suggestionSnippetMultiLine,
-}, file, result) {
-  const {
-    message,
-    severity,
-    ruleId,
-    fix,
-  } = result;
-
-  let suggestionSnippetText = '';
-
-  if (fix) {
-    const [start, end] = fix.range;
-    const fileBeforeStart = file.substring(0, start);
-    const fileAfterEnd = file.substring(end);
-    const fixedFile = fileBeforeStart + fix.text + fileAfterEnd;
-
-    const suggestFrom = defaultIndex(fileBeforeStart.lastIndexOf('\n'), -1) + 1;
-    const suggestTo = defaultIndex(
-      fileAfterEnd.indexOf('\n'),
-      fileAfterEnd.length,
-    );
-    const suggestion = fixedFile.substr(
-      suggestFrom,
-      fileBeforeStart.length - suggestFrom + fix.text.length + suggestTo,
-    );
-
-    const newLinesPreFix = countNewLines(file.substring(start, end));
-
-    if (suggestionSnippet) {
-      if (suggestionSnippetMultiLine && newLinesPreFix > 0) {
-        suggestionSnippetText = `\`\`\`suggestion:-0+${newLinesPreFix}
-  ${suggestion.replace(/```/g, '\\`\\`\\`')}
-  \`\`\``;
-      } else if (newLinesPreFix === 0) {
-        suggestionSnippetText = `\`\`\`suggestion
-  ${suggestion.replace(/```/g, '\\`\\`\\`')}
-  \`\`\``;
-      }
+  suggestionSnippetRange,
+  codeSnippet,
+}, file, fix, line, fixLabel) {
+  const { suggestion, startLine, endLine } = fixedSource(file, fix);
+
+  if (suggestionSnippet) {
+    if (startLine === line && endLine === line) {
+      return `\`\`\`suggestion
+${escapeFences(suggestion)}
+\`\`\``;
     }
+    if (!suggestionSnippetMultiLine) {
+      return '';
+    }
+    if (suggestionSnippetRange) {
+      // The provider comments on the lines the fix replaces
+      return `\`\`\`suggestion
+${escapeFences(suggestion)}
+\`\`\``;
+    }
+    // Lines between the comment and the fix are suggested unchanged
+    const from = Math.min(line, startLine);
+    const to = Math.max(line, endLine);
+    const lines = file.split('\n');
+    const text = lines.slice(from - 1, startLine - 1)
+      .concat(suggestion, lines.slice(endLine, to))
+      .join('\n');
+    return `\`\`\`suggestion:-${line - from}+${to - line}
+${escapeFences(text)}
+\`\`\``;
   }
+  if (codeSnippet) {
+    return `${fixLabel}
 
-  let ruleMd = '';
+\`\`\`
+${escapeFences(suggestion)}
+\`\`\``;
+  }
+  return '';
+}
 
-  if (ruleId) {
-    const ruleUrl = `https://www.google.com/search?btnI&q=${encodeURIComponent(
-      `eslint rule ${ruleId}`,
-    )}`;
-    ruleMd = `[${ruleId}](${ruleUrl})`;
+/**
+ * @param {LintMessage} message
+ * @returns {string} markdown link to the documentation of the rule, the rule alone when its
+ * documentation is unknown
+ */
+function ruleLink({ ruleId, ruleUrl }) {
+  if (!ruleId) {
+    return '';
   }
+  return ruleUrl ? `[${ruleId}](${ruleUrl})` : `\`${ruleId}\``;
+}
+
+/**
+ * @param {LintMessage} message
+ * @param {object} templates see `suggestionMessage.templates`
+ * @returns {object} values of the placeholders of the templates for the message
+ */
+function templateValues(message, templates) {
+  const severity = SEVERITY_NAME[message.severity];
+  return {
+    emoji: templates.emoji[severity],
+    label: templates.labels[severity],
+    severity,
+    message: message.message,
+    ruleId: message.ruleId,
+    ruleUrl: message.ruleUrl,
+    ruleLink: ruleLink(message),
+    linter: message.linter,
+    path: message.path,
+    line: message.line,
+  };
+}
 
-  const severityEmoji = suggestionMessage.SEVERITY_EMOJI[severity];
-  const severityMessage = suggestionMessage.SEVERITY_TEXT[severity];
+/**
+ * Renders the lint messages of one line as a single comment, the fixes that do not overlap are
+ * shown as one suggestion.
+ *
+ * @param {object} capabilities markdown the provider can render, see `VCP.suggestions`
+ * @param {string} file
+ * @param {LintMessage|LintMessage[]} results messages on the same line
+ * @param {object} templates see `suggestionMessage.templates`
+ * @returns {string}
+ */
+function suggestionMessage(
+  capabilities,
+  file,
+  results,
+  templates = suggestionMessage.TEMPLATES,
+) {
+  const messages = [].concat(results);
+  const fix = combineFixes(file, messages.map(m => m.fix).filter(Boolean));
+  const suggestionSnippetText = fix
+    ? fixSnippet(capabilities, file, fix, messages[0].line, templates.fix)
+    : '';
 
-  return `${severityEmoji} **Lint ${severityMessage}** ${message}
+  const heading = message => template(templates.message, templateValues(message, templates));
+
+  // Guidance of each rule once, after the rest of the comment
+  const guidance = messages
+    .filter((m, i) => templates.rules[m.ruleId]
+      && messages.findIndex(other => other.ruleId === m.ruleId) === i)
+    .map(m => `\n\n${template(templates.rules[m.ruleId], templateValues(m, templates))}`)
+    .join('');
+
+  if (messages.length === 1) {
+    return `${heading(messages[0])}
 
 ${suggestionSnippetText}
 
-${ruleMd}`;
+${ruleLink(messages[0])}${guidance}`;
+  }
+
+  const list = messages
+    .map(m => `- ${heading(m)}${m.ruleId ? ` ${ruleLink(m)}` : ''}`)
+    .join('\n');
+
+  return `${list}
+
+${suggestionSnippetText}${guidance}`;
 }
 
-suggestionMessage.SEVERITY_TEXT = [null, 'Warning', 'Error'];
-suggestionMessage.SEVERITY_EMOJI = [null, ':warning:', ':stop_sign:'];
+suggestionMessage.fixedSource = fixedSource;
+suggestionMessage.combineFixes = combineFixes;
+
+/**
+ * Templates of the comments, every one can be replaced with the `templates` option.
+ *
+ * - `message` heading of each lint message
+ * - `labels` and `emoji` of each severity, `{{label}}` and `{{emoji}}` in the templates
+ * - `fix` text above the fix when the provider cannot render suggestions
+ * - `rules` markdown added to the comments of a rule by rule id, e.g. guidance of the team
+ *
+ * The placeholders of `message` and `rules` are `{{emoji}}`, `{{label}}`, `{{severity}}`
+ * (`warning` or `error`), `{{message}}`, `{{ruleId}}`, `{{ruleUrl}}`, `{{ruleLink}}`,
+ * `{{linter}}`, `{{path}}` and `{{line}}`.
+ */
+suggestionMessage.TEMPLATES = {
+  message: '{{emoji}} **Lint {{label}}** {{message}}',
+  labels: { warning: 'Warning', error: 'Error' },
+  emoji: { warning: ':warning:', error: ':stop_sign:' },
+  fix: 'Suggested fix:',
+  rules: {},
+};
+
+/**
+ * @param {object} templates templates of the `templates` option, labels and emoji can be given
+ * for one severity only
+ * @returns {object} the default templates overridden by `templates`
+ * @example
+ * suggestionMessage.templates({ labels: { error: 'Fehler' } });
+ * // => { ..., labels: { warning: 'Warning', error: 'Fehler' }, ... }
+ */
+suggestionMessage.templates = (templates = {}) => {
+  const defaults = suggestionMessage.TEMPLATES;
+  return {
+    ...defaults,
+    ...templates,
+    labels: { ...defaults.labels, ...templates.labels },
+    emoji: { ...defaults.emoji, ...templates.emoji },
+    rules: { ...defaults.rules, ...templates.rules },
+  };
+};
 
 module.exports = suggestionMessage;
@@ -0,0 +1,124 @@
+const redact = require('../helpers/redact');
+
+/**
+ * @param {Error} err error of a job, the `cause` of its `JobError`
+ * @param {string[]} secrets
+ * @returns {object} what went wrong without credentials
+ */
+const describeError = (err, secrets) => ({
+  message: redact(err.message, secrets),
+  ...(err.status ? { status: err.status } : {}),
+  ...(err.response && err.response.url ? { url: redact(err.response.url, secrets) } : {}),
+  ...(err.headers ? { headers: redact.headers(err.headers, secrets) } : {}),
+});
+
+/**
+ * Formats what a run did as the `--report-file` report: every lint message and what became of
+ * it, every comment that was deleted or resolved and every job with its timing and attempts.
+ *
+ * Statuses of a message:
+ * - `posted` a comment was created
+ * - `kept` the comment of a previous run was left as is
+ * - `skipped` nothing was commented, `reason` is `scope`, `diff`, `baseline` or `maxComments`
+ * - `failed` the comment could not be created, `job` is the job that failed
+ *
+ * Statuses of a job: `succeeded`, `failed` or `cancelled` when another job failed for good.
+ *
+ * @param {object} run
+ * @param {string} run.provider
+ * @param {number} run.startedAt timestamp of the start of the run
+ * @param {number} run.finishedAt
+ * @param {number} run.exitCode `null` when the run threw
+ * @param {object} run.verdict
+ * @param {object[]} run.messages
+ * @param {LintMessage} run.messages[].message
+ * @param {string} run.messages[].status
+ * @param {string} run.messages[].reason
+ * @param {number} run.messages[].job id of the job that commented it
+ * @param {object[]} run.deleted `{ id, fingerprint }` of each deleted comment
+ * @param {object[]} run.resolved `{ id, fingerprint }` of each resolved comment
+ * @param {object[]} run.jobs `{ id, name, meta, retry, startedAt, finishedAt, error }`
+ * @param {Error[]} run.errors errors the run went on without or the error it threw
+ * @param {string[]} run.secrets masked in messages and URLs, see `redact.secrets`
+ * @returns {object}
+ * @example
+ * runReport({ provider: 'github', startedAt, finishedAt, exitCode: 0, ... });
+ * // => {
+ * //   provider: 'github',
+ * //   startedAt: '2019-05-04T21:14:09.201Z',
+ * //   durationMs: 3120,
+ * //   exitCode: 0,
+ * //   verdict: null,
+ * //   messages: [{
+ * //     path: 'client/app.js',
+ * //     line: 1,
+ * //     ruleId: 'semi',
+ * //     ...
+ * //     status: 'posted',
+ * //     job: 12,
+ * //   }],
+ * //   deleted: [{ id: 549, fingerprint: 'd36bcca498d8b0b9d7e8' }],
+ * //   resolved: [],
+ * //   jobs: [{
+ * //     id: 12,
+ * //     name: 'suggestChange client/app.js:1',
+ * //     meta: { path: 'client/app.js', line: 1 },
+ * //     status: 'succeeded',
+ * //     attempts: 2,
+ * //     durationMs: 1840,
+ * //   }],
+ * //   errors: [],
+ * // }
+ */
+function runReport({
+  provider,
+  startedAt,
+  finishedAt,
+  exitCode,
+  verdict,
+  messages,
+  deleted,
+  resolved,
+  jobs,
+  errors,
+  secrets = [],
+}) {
+  return {
+    provider,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    exitCode,
+    verdict,
+    messages: messages.map(({
+      message: {
+        fix,
+        suggestions,
+        ...message
+      },
+      status,
+      reason,
+      job,
+    }) => ({
+      ...message,
+      status,
+      ...(reason ? { reason } : {}),
+      ...(job !== undefined ? { job } : {}),
+    }))
+      .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line),
+    deleted,
+    resolved,
+    jobs: jobs.map(job => ({
+      id: job.id,
+      name: job.name,
+      meta: job.meta,
+      // Jobs that were running when the run was cancelled never finish
+      status: (job.finishedAt === undefined && 'cancelled') || (job.error ? 'failed' : 'succeeded'),
+      attempts: job.retry,
+      durationMs: (job.finishedAt === undefined ? finishedAt : job.finishedAt) - job.startedAt,
+      ...(job.error ? { error: describeError(job.error.cause || job.error, secrets) } : {}),
+    })),
+    errors: errors.map(err => redact(err.message, secrets)),
+  };
+}
+
+module.exports = runReport;
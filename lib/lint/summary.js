@@ -0,0 +1,133 @@
+const { TEMPLATES } = require('./eslint');
+
+const SEVERITY_ERROR = 2;
+const SEVERITY_NAME = [null, 'warning', 'error'];
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * @param {object[]} messages
+ * @param {string} key
+ * @param {string} header
+ * @returns {string} collapsed markdown table that counts errors and warnings grouped by `key`
+ */
+function countTable(messages, key, header) {
+  const counts = {};
+  messages.forEach((message) => {
+    const group = message[key] || '(no rule)';
+    counts[group] = counts[group] || { errors: 0, warnings: 0 };
+    if (message.severity === SEVERITY_ERROR) {
+      counts[group].errors += 1;
+    } else {
+      counts[group].warnings += 1;
+    }
+  });
+
+  const rows = Object.keys(counts)
+    .sort((a, b) => (counts[b].errors - counts[a].errors)
+      || (counts[b].warnings - counts[a].warnings)
+      || a.localeCompare(b))
+    .map(group => `| \`${group}\` | ${counts[group].errors} | ${counts[group].warnings} |`);
+
+  return `<details>
+<summary>By ${header.toLowerCase()}</summary>
+
+| ${header} | Errors | Warnings |
+|-|-|-|
+${rows.join('\n')}
+
+</details>`;
+}
+
+/**
+ * @param {object[]} messages
+ * @param {object} emoji by severity name, see the `templates` option
+ * @returns {string} collapsed list of the messages that were not commented inline
+ */
+function overflowList(messages, emoji) {
+  const items = messages.map(m => `- \`${m.path}:${m.line}\` ${emoji[SEVERITY_NAME[m.severity]]} ${m.message}${m.ruleId ? ` (\`${m.ruleId}\`)` : ''}`);
+
+  return `<details>
+<summary>${plural(messages.length, 'message')} above the limit of inline comments</summary>
+
+${items.join('\n')}
+
+</details>`;
+}
+
+/**
+ * @param {object} options
+ * @param {object[]} options.messages every lint message of the pull request
+ * @param {string} options.messages[].path
+ * @param {number} options.messages[].severity
+ * @param {string} options.messages[].ruleId
+ * @param {object} options.skipped number of messages that were not commented inline by reason
+ * @param {number} options.skipped.scope outside of the scope
+ * @param {number} options.skipped.diff outside of the diff
+ * @param {number} options.skipped.baseline existed before the change, they are not counted
+ * @param {string} options.scope
+ * @param {object[]} options.overflow messages that were not commented inline because of
+ * `--max-comments`
+ * @param {object} options.verdict result of the merge policy, see `lib/helpers/gate.js`
+ * @param {object} options.templates see `suggestionMessage.templates` in `lib/lint/eslint.js`
+ * @returns {string}
+ */
+function summaryMessage({
+  messages,
+  skipped = {},
+  scope,
+  overflow = [],
+  verdict = null,
+  templates = TEMPLATES,
+}) {
+  const errorCount = messages.filter(m => m.severity === SEVERITY_ERROR).length;
+  const warningCount = messages.length - errorCount;
+
+  let verdictText = '';
+  if (verdict) {
+    verdictText = verdict.passed
+      ? `
+
+:white_check_mark: **Merge policy passed** ${verdict.message}`
+      : `
+
+:x: **Merge policy failed** ${verdict.message}`;
+  }
+
+  if (messages.length === 0) {
+    return `### ${summaryMessage.TITLE}
+
+:white_check_mark: No lint errors or warnings${verdictText}`;
+  }
+
+  const skippedLines = [];
+  if (skipped.scope > 0) {
+    skippedLines.push(`- ${plural(skipped.scope, 'message')} outside of the \`${scope}\` scope`);
+  }
+  if (skipped.diff > 0) {
+    skippedLines.push(`- ${plural(skipped.diff, 'message')} outside of the diff`);
+  }
+  if (skipped.baseline > 0) {
+    skippedLines.push(`- ${plural(skipped.baseline, 'message')} that existed before, not counted above`);
+  }
+  const skippedText = skippedLines.length > 0
+    ? `
+
+Not commented inline:
+${skippedLines.join('\n')}`
+    : '';
+
+  return `### ${summaryMessage.TITLE}
+
+${templates.emoji.error} **${plural(errorCount, 'error')}** ${templates.emoji.warning} **${plural(warningCount, 'warning')}**${verdictText}${skippedText}${overflow.length > 0 ? `
+
+${overflowList(overflow, templates.emoji)}` : ''}
+
+${countTable(messages, 'ruleId', 'Rule')}
+
+${countTable(messages, 'path', 'File')}`;
+}
+
+summaryMessage.TITLE = 'Lint summary';
+
+module.exports = summaryMessage;
@@ -1,144 +1,78 @@
 #!/usr/bin/env node
 
-const vcpByName = require('./vcp');
-const FetchParallel = require('./helpers/FetchParallel');
-const invariant = require('./helpers/invariant');
-const TimeoutError = require('./errors/TimeoutError');
-const FetchError = require('./errors/FetchError');
-const eslintMessage = require('./lint/eslint');
-
+const { resolveConfig, usage } = require('./config');
+const ConfigError = require('./errors/ConfigError');
+const linterByName = require('./linters');
+const run = require('./run');
+
+const printConfigError = (err, logger) => {
+  logger.error(`lintbot: ${err.message}\nRun lintbot --help for the list of options`);
+};
+
+/**
+ * Command line of lintbot, the options are read from `argv` and `.lintbotrc` on top of the ones
+ * passed here, see `lintbot.run` to call lintbot from code.
+ *
+ * @param {object} options
+ * @param {function} options.CLIEngine ESLint's `CLIEngine`
+ * @param {object[]} options.linters other linters, see `lib/linters/index.js`
+ * @param {object} options.logger defaults to `console`
+ * @param {string[]} options.argv defaults to the arguments of the process
+ * @returns {Promise<number>} exit code
+ * @example
+ * lintbot({ CLIEngine }).then((exitCode) => {
+ *   process.exitCode = exitCode;
+ * });
+ */
 async function lintbot({
   CLIEngine,
-  limit = 5,
-  retry = 3,
-  timeoutMs = 15000,
-  extensions = ['.js'],
+  linters = [],
   logger = console,
+  argv = process.argv.slice(2),
+  ...options
 } = {}) {
-  global.Logger = logger;
-
-  const usage = 'usage: lintbot [-d] (github | gitlab) [<config>]';
-
-  invariant(
-    typeof CLIEngine === 'function',
-    'CLIEngine is not defined, you can import it from eslint `require("eslint").CLIEngine`',
-  );
-
+  let config;
   try {
-    // pop path to `node`
-    process.argv.shift();
-    // pop path to `lintbot`
-    process.argv.shift();
-
-    // Move switches to the end of the array while preserving the order of arguments
-    process.argv.sort((a, b) => a.startsWith('-') - b.startsWith('-'));
-
-    if (process.argv.includes('-h') || process.argv.includes('--help')) {
-      Logger.log(usage);
-      return 0;
-    }
-
-    const dryRun = process.argv.includes('-d');
-
-    // Remove switches from argv
-    process.argv = process.argv.filter(a => !a.startsWith('-'));
-
-    if (process.argv.length < 1) {
-      Logger.error(usage);
+    config = resolveConfig({ argv, overrides: options });
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      printConfigError(err, logger);
       return 1;
     }
+    throw err;
+  }
 
-    const vcpName = process.argv[0];
-    invariant(
-      Object.keys(vcpByName).includes(vcpName),
-      `Unsupported version control provider "${vcpName}"`,
-    );
-    const VCP = vcpByName[vcpName];
-
-    // Eslint configuration file
-    const configFile = process.argv[1];
-
-    const vcp = new VCP({
-      dryRun,
-    });
-
-    const linter = new CLIEngine({
-      configFile,
-    });
-
-    const dispatcher = new FetchParallel({
-      limit,
-      timeoutMs,
-      retry,
-      shouldRetry: err => err instanceof TimeoutError
-        || (err instanceof FetchError && err.status >= 500 && err.status < 600),
-    });
-
-    dispatcher.add(async (getSuggestIdsSignal) => {
-      vcp.attachSignal(getSuggestIdsSignal);
-      const oldSuggestionIds = await vcp.fetchSuggestionIds();
-
-      oldSuggestionIds.forEach((suggestionId) => {
-        dispatcher.add(async (deleteSuggestionSignal) => {
-          vcp.attachSignal(deleteSuggestionSignal);
-          await vcp.deleteSuggestion(suggestionId);
-        });
-      });
-    });
-
-    await dispatcher.yield();
-
-    dispatcher.add(async (fetchFilePathsSignal) => {
-      vcp.attachSignal(fetchFilePathsSignal);
-
-      const filePaths = (await vcp.fetchFilePaths())
-        .filter(file => extensions.some(ext => file.endsWith(ext)));
-
-      if (vcp.beforeSuggestionsStart) {
-        await vcp.beforeSuggestionsStart();
-      }
-
-      filePaths.forEach((path) => {
-        dispatcher.add(async (fetchFileSignal) => {
-          vcp.attachSignal(fetchFileSignal);
-          const file = await vcp.fetchFile(path);
-
-          const lintReport = linter.executeOnText(file, path);
-
-          const suggestions = lintReport.results
-            .filter(
-              fileResult => fileResult.errorCount > 0 || fileResult.warningCount > 0,
-            )
-            .map(fileResult => fileResult.messages)
-            .reduce(
-              (messages, fileMessages) => messages.concat(fileMessages),
-              [],
-            )
-            .map(message => ({
-              line: message.line,
-              message: eslintMessage(VCP.suggestions, file, message),
-            }));
+  if (config.help) {
+    logger.log(usage());
+    return 0;
+  }
 
-          suggestions.forEach(async (suggestion) => {
-            dispatcher.add(async (suggestChangeSignal) => {
-              vcp.attachSignal(suggestChangeSignal);
-              await vcp.suggestChange(path, suggestion);
-            });
-          });
-        });
-      });
+  const {
+    providerOptions,
+    configFile,
+    linters: linterNames,
+    ...runOptions
+  } = config;
+  try {
+    const result = await run({
+      ...runOptions,
+      providerOptions,
+      CLIEngine,
+      linters: linterNames.concat(linters),
+      logger,
     });
-
-    await dispatcher.yield();
-
-    if (vcp.afterSuggestionsEnd) {
-      await vcp.afterSuggestionsEnd();
-    }
-
-    return 0;
+    return result.exitCode;
   } catch (err) {
+    // Options that are only invalid together
+    if (err instanceof ConfigError) {
+      printConfigError(err, logger);
+      return 1;
+    }
     throw err;
   }
 }
 
+lintbot.run = run;
+lintbot.linters = linterByName;
+
 module.exports = lintbot;
@@ -0,0 +1,80 @@
+const invariant = require('../helpers/invariant');
+
+class ESLintLinter {
+  /**
+   * @param {object} options
+   * @param {Function} options.CLIEngine `require("eslint").CLIEngine`
+   * @param {string} options.configFile ESLint configuration file
+   * @param {string[]} options.extensions Files that are linted
+   */
+  constructor({
+    CLIEngine,
+    configFile,
+    extensions = ['.js'],
+  } = {}) {
+    invariant(
+      typeof CLIEngine === 'function',
+      'CLIEngine is not defined, you can import it from eslint `require("eslint").CLIEngine`',
+    );
+
+    this.name = 'eslint';
+    this.extensions = extensions;
+    this.engine = new CLIEngine({
+      configFile,
+    });
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   * @example
+   * await eslintLinter.lint('const file = "app.js"', 'client/app.js');
+   * // => [{
+   * //   line: 1,
+   * //   column: 22,
+   * //   severity: 2,
+   * //   ruleId: 'semi',
+   * //   message: 'Missing semicolon.',
+   * //   ruleUrl: 'https://eslint.org/docs/rules/semi',
+   * //   fix: { range: [21, 21], text: ';' },
+   * // }]
+   */
+  async lint(file, path) {
+    const lintReport = this.engine.executeOnText(file, path);
+    // Rules of the plugins are loaded along with the configuration of the file
+    const rules = this.engine.getRules();
+
+    return lintReport.results
+      .filter(
+        fileResult => fileResult.errorCount > 0 || fileResult.warningCount > 0,
+      )
+      .map(fileResult => fileResult.messages)
+      .reduce(
+        (messages, fileMessages) => messages.concat(fileMessages),
+        [],
+      )
+      .map(message => ({
+        line: message.line,
+        column: message.column,
+        severity: message.severity,
+        ruleId: message.ruleId,
+        message: message.message,
+        ...ESLintLinter.ruleUrl(rules, message.ruleId),
+        ...(message.fix ? { fix: message.fix } : {}),
+      }));
+  }
+}
+
+/**
+ * @param {Map} rules rules by id, see `CLIEngine#getRules`
+ * @param {string} ruleId
+ * @returns {object} `{ ruleUrl }` from the `meta.docs.url` of the rule, empty when it has none
+ */
+ESLintLinter.ruleUrl = (rules, ruleId) => {
+  const rule = ruleId ? rules.get(ruleId) : null;
+  const url = rule && rule.meta && rule.meta.docs && rule.meta.docs.url;
+  return url ? { ruleUrl: url } : {};
+};
+
+module.exports = ESLintLinter;
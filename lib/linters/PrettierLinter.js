@@ -0,0 +1,92 @@
+const { generateDifferences, showInvisibles } = require('prettier-linter-helpers');
+const invariant = require('../helpers/invariant');
+
+const countLines = s => (s.match(/\n/g) || []).length;
+
+class PrettierLinter {
+  /**
+   * Reports every change Prettier would make when reformatting the file, each with a fix.
+   *
+   * @param {object} options
+   * @param {object} options.prettier `require("prettier")`
+   * @param {string[]} options.extensions Files that are linted
+   * @param {number} options.severity Severity of the messages, defaults to a warning
+   */
+  constructor({
+    prettier,
+    extensions = ['.js', '.jsx', '.ts', '.tsx', '.css', '.scss', '.less', '.json', '.md'],
+    severity = 1,
+  } = {}) {
+    invariant(
+      prettier && typeof prettier.format === 'function',
+      'prettier is not defined, you can import it from prettier `require("prettier")`',
+    );
+
+    this.name = 'prettier';
+    this.extensions = extensions;
+    this.prettier = prettier;
+    this.severity = severity;
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   * @example
+   * await prettierLinter.lint('const file = "app.js"', 'client/app.js');
+   * // => [{
+   * //   line: 1,
+   * //   column: 22,
+   * //   severity: 1,
+   * //   ruleId: 'prettier',
+   * //   message: 'Insert `;⏎`',
+   * //   fix: { range: [21, 21], text: ';\n' },
+   * // }]
+   */
+  async lint(file, path) {
+    const options = await this.prettier.resolveConfig(path);
+    // `format` returns a promise since Prettier 3
+    const formatted = await this.prettier.format(file, {
+      ...options,
+      filepath: path,
+    });
+
+    return generateDifferences(file, formatted).map(({
+      operation,
+      offset,
+      deleteText = '',
+      insertText = '',
+    }) => {
+      const textBefore = file.substring(0, offset);
+      const message = {
+        insert: `Insert \`${showInvisibles(insertText)}\``,
+        delete: `Delete \`${showInvisibles(deleteText)}\``,
+        replace: `Replace \`${showInvisibles(deleteText)}\` with \`${showInvisibles(insertText)}\``,
+      }[operation];
+      return {
+        line: countLines(textBefore) + 1,
+        column: offset - textBefore.lastIndexOf('\n'),
+        severity: this.severity,
+        ruleId: 'prettier',
+        message,
+        fix: {
+          range: [offset, offset + deleteText.length],
+          text: insertText,
+        },
+      };
+    });
+  }
+}
+
+// Options of `linterOptions.prettier`
+PrettierLinter.options = [
+  {
+    name: 'severity',
+    type: 'number',
+    min: 1,
+    max: 2,
+  },
+  { name: 'extensions', type: 'string[]' },
+];
+
+module.exports = PrettierLinter;
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const nodePath = require('path');
+const childProcess = require('child_process');
+const invariant = require('../helpers/invariant');
+const parseReportByFormat = require('../reports');
+
+/**
+ * @param {string} report
+ * @returns {string} format of the report, see `lib/reports`
+ */
+function detectFormat(report) {
+  const trimmed = report.trim();
+  if (trimmed.startsWith('<')) {
+    return 'checkstyle';
+  }
+  if (trimmed.startsWith('[')) {
+    return 'eslint';
+  }
+  return 'sarif';
+}
+
+class ReportLinter {
+  /**
+   * Serves the messages of a report that was created ahead of time instead of linting.
+   *
+   * @param {object} options
+   * @param {string} options.report Path to an ESLint JSON, SARIF 2.1 or Checkstyle XML report
+   * @param {string} options.format `eslint`, `sarif` or `checkstyle`, detected when omitted
+   * @param {string} options.cwd Directory relative paths in the report are relative to, defaults
+   * to the current working directory
+   * @param {string} options.root Directory the paths of the pull request are relative to,
+   * defaults to the root of the git repository of `cwd`
+   */
+  constructor({
+    report,
+    format,
+    cwd = process.cwd(),
+    root = ReportLinter.repositoryRoot(cwd),
+  } = {}) {
+    invariant(
+      typeof report === 'string',
+      'Report is not defined',
+    );
+
+    const contents = fs.readFileSync(report, 'utf8');
+    const reportFormat = format || detectFormat(contents);
+    invariant(
+      Object.keys(parseReportByFormat).includes(reportFormat),
+      `Unsupported report format "${reportFormat}"`,
+    );
+
+    this.name = 'report';
+    // The report only describes the files after the change
+    this.readsFile = false;
+    this.messagesByPath = {};
+    parseReportByFormat[reportFormat](contents).forEach(({ path, ...message }) => {
+      const relativePath = ReportLinter.relativePath(path, cwd, root);
+      this.messagesByPath[relativePath] = (this.messagesByPath[relativePath] || []).concat(message);
+    });
+
+    // Only the files of the report are linted, see `lintsPath`
+    this.extensions = Object.keys(this.messagesByPath);
+  }
+
+  /**
+   * @param {string} path path of the pull request
+   * @returns {boolean} whether the report has messages for exactly this file, a file that only
+   * ends with the path of the report is another one
+   */
+  lintsPath(path) {
+    return Object.prototype.hasOwnProperty.call(this.messagesByPath, path);
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   */
+  async lint(file, path) {
+    return (this.messagesByPath[path] || []).map((message) => {
+      if (!message.fix || !message.fix.region) {
+        return message;
+      }
+      const { region, text } = message.fix;
+      return {
+        ...message,
+        fix: {
+          range: [
+            ReportLinter.offset(file, region.startLine, region.startColumn),
+            ReportLinter.offset(file, region.endLine, region.endColumn),
+          ],
+          text,
+        },
+      };
+    });
+  }
+}
+
+/**
+ * @param {string} path Absolute, relative or `file://` path
+ * @param {string} cwd directory that relative paths are relative to
+ * @param {string} root directory the result is relative to
+ * @returns {string} Path relative to `root` with forward slashes
+ * @example
+ * ReportLinter.relativePath('src/app.js', '/repo/client', '/repo');
+ * // => 'client/src/app.js'
+ */
+ReportLinter.relativePath = (path, cwd, root = cwd) => {
+  let filePath = path;
+  if (filePath.startsWith('file://')) {
+    filePath = decodeURIComponent(filePath.replace(/^file:\/\//, ''));
+  }
+  return nodePath.relative(root, nodePath.resolve(cwd, filePath)).replace(/\\/g, '/');
+};
+
+/**
+ * @param {string} cwd
+ * @returns {string} root of the git repository of `cwd`, `cwd` when it is not in one
+ */
+ReportLinter.repositoryRoot = (cwd) => {
+  try {
+    return childProcess.execFileSync('git', ['rev-parse', '--show-toplevel'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch (err) {
+    return cwd;
+  }
+};
+
+/**
+ * @param {string} file
+ * @param {number} line 1-based
+ * @param {number} column 1-based
+ * @returns {number} offset of the position in `file`
+ */
+ReportLinter.offset = (file, line, column) => file
+  .split('\n')
+  .slice(0, line - 1)
+  .reduce((offset, l) => offset + l.length + 1, column - 1);
+
+module.exports = ReportLinter;
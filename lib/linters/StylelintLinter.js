@@ -0,0 +1,84 @@
+const invariant = require('../helpers/invariant');
+
+const SEVERITY = {
+  warning: 1,
+  error: 2,
+};
+
+class StylelintLinter {
+  /**
+   * @param {object} options
+   * @param {object} options.stylelint `require("stylelint")`
+   * @param {string} options.configFile stylelint configuration file, defaults to the
+   * configuration stylelint finds for each file
+   * @param {string[]} options.extensions Files that are linted
+   */
+  constructor({
+    stylelint,
+    configFile,
+    extensions = ['.css', '.scss', '.sass', '.less'],
+  } = {}) {
+    invariant(
+      stylelint && typeof stylelint.lint === 'function',
+      'stylelint is not defined, you can import it from stylelint `require("stylelint")`',
+    );
+
+    this.name = 'stylelint';
+    this.extensions = extensions;
+    this.stylelint = stylelint;
+    this.configFile = configFile;
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   * @example
+   * await stylelintLinter.lint('a { color: #FFF; }', 'client/app.css');
+   * // => [{
+   * //   line: 1,
+   * //   column: 12,
+   * //   severity: 2,
+   * //   ruleId: 'color-hex-case',
+   * //   message: 'Expected "#FFF" to be "#fff"',
+   * // }]
+   */
+  async lint(file, path) {
+    const { results } = await this.stylelint.lint({
+      code: file,
+      codeFilename: path,
+      ...(this.configFile ? { configFile: this.configFile } : {}),
+    });
+
+    return results
+      .map(result => result.warnings)
+      .reduce((warnings, fileWarnings) => warnings.concat(fileWarnings), [])
+      .map(warning => ({
+        line: warning.line,
+        column: warning.column,
+        severity: SEVERITY[warning.severity] || SEVERITY.error,
+        ruleId: warning.rule,
+        // stylelint appends the rule to the text, e.g. `Unexpected empty block (block-no-empty)`
+        message: warning.text.replace(` (${warning.rule})`, ''),
+        ...this.ruleUrl(warning.rule),
+      }));
+  }
+
+  /**
+   * @param {string} ruleId
+   * @returns {object} `{ ruleUrl }` from the `meta.url` of the rule, empty when it has none
+   */
+  ruleUrl(ruleId) {
+    const rule = this.stylelint.rules && this.stylelint.rules[ruleId];
+    const url = rule && rule.meta && rule.meta.url;
+    return url ? { ruleUrl: url } : {};
+  }
+}
+
+// Options that can be given in `linterOptions.stylelint` when stylelint is in `linters`
+StylelintLinter.options = [
+  { name: 'configFile', type: 'string' },
+  { name: 'extensions', type: 'string[]' },
+];
+
+module.exports = StylelintLinter;
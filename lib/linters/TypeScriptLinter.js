@@ -0,0 +1,148 @@
+const nodePath = require('path');
+const invariant = require('../helpers/invariant');
+
+class TypeScriptLinter {
+  /**
+   * Reports type errors through the TypeScript language service. Files of the pull request are
+   * type checked against each other, every other file is read from the working directory.
+   *
+   * @param {object} options
+   * @param {object} options.typescript `require("typescript")`
+   * @param {string} options.configFile TypeScript configuration file, defaults to `tsconfig.json`
+   * @param {string[]} options.extensions Files that are linted
+   */
+  constructor({
+    typescript,
+    configFile = 'tsconfig.json',
+    extensions = ['.ts', '.tsx'],
+  } = {}) {
+    invariant(
+      typescript && typeof typescript.createLanguageService === 'function',
+      'typescript is not defined, you can import it from typescript `require("typescript")`',
+    );
+
+    this.name = 'typescript';
+    this.extensions = extensions;
+    this.ts = typescript;
+
+    const configPath = nodePath.resolve(configFile);
+    const { config, error } = typescript.readConfigFile(configPath, typescript.sys.readFile);
+    invariant(
+      !error,
+      `Could not read ${configFile}, ${error && typescript.flattenDiagnosticMessageText(error.messageText, '\n')}`,
+    );
+    const { options, fileNames } = typescript.parseJsonConfigFileContent(
+      config,
+      typescript.sys,
+      nodePath.dirname(configPath),
+    );
+
+    // Files of the pull request, they take precedence over the working directory
+    this.files = {};
+
+    this.service = typescript.createLanguageService({
+      getCompilationSettings: () => options,
+      getScriptFileNames: () => Array.from(new Set(fileNames.concat(Object.keys(this.files)))),
+      getScriptVersion: fileName => (this.files[fileName] ? String(this.files[fileName].version) : '0'),
+      getScriptSnapshot: (fileName) => {
+        const text = this.files[fileName]
+          ? this.files[fileName].text
+          : typescript.sys.readFile(fileName);
+        return text === undefined ? undefined : typescript.ScriptSnapshot.fromString(text);
+      },
+      getCurrentDirectory: () => process.cwd(),
+      getDefaultLibFileName: typescript.getDefaultLibFilePath,
+      fileExists: fileName => Boolean(this.files[fileName]) || typescript.sys.fileExists(fileName),
+      readFile: fileName => (this.files[fileName]
+        ? this.files[fileName].text
+        : typescript.sys.readFile(fileName)),
+      readDirectory: typescript.sys.readDirectory,
+      directoryExists: typescript.sys.directoryExists,
+      getDirectories: typescript.sys.getDirectories,
+    });
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   * @example
+   * await typeScriptLinter.lint('const file: number = "app.ts";', 'client/app.ts');
+   * // => [{
+   * //   line: 1,
+   * //   column: 7,
+   * //   severity: 2,
+   * //   ruleId: 'TS2322',
+   * //   message: 'Type \'string\' is not assignable to type \'number\'.',
+   * // }]
+   */
+  async lint(file, path) {
+    return this.check(file, path);
+  }
+
+  /**
+   * Lints the file before the change, the other files keep being type checked against the file
+   * after the change. The file is put back before anything else runs.
+   *
+   * @param {string} file
+   * @param {string} path
+   * @returns {Promise<LintMessage[]>}
+   */
+  async lintBase(file, path) {
+    const fileName = nodePath.resolve(path);
+    const previous = this.files[fileName];
+    try {
+      return this.check(file, path);
+    } finally {
+      if (previous) {
+        this.files[fileName] = {
+          text: previous.text,
+          version: this.files[fileName].version + 1,
+        };
+      } else {
+        delete this.files[fileName];
+      }
+    }
+  }
+
+  /**
+   * @param {string} file
+   * @param {string} path
+   * @returns {LintMessage[]} diagnostics of the file, which replaces the previous one
+   */
+  check(file, path) {
+    const { ts } = this;
+    const fileName = nodePath.resolve(path);
+    const previous = this.files[fileName];
+    this.files[fileName] = {
+      text: file,
+      version: previous ? previous.version + 1 : 1,
+    };
+
+    const sourceFile = this.service.getProgram().getSourceFile(fileName);
+    const diagnostics = this.service.getSyntacticDiagnostics(fileName)
+      .concat(this.service.getSemanticDiagnostics(fileName));
+
+    return diagnostics
+      .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error
+        || diagnostic.category === ts.DiagnosticCategory.Warning)
+      .map((diagnostic) => {
+        const { line, character } = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+        return {
+          line: line + 1,
+          column: character + 1,
+          severity: diagnostic.category === ts.DiagnosticCategory.Error ? 2 : 1,
+          ruleId: `TS${diagnostic.code}`,
+          message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+        };
+      });
+  }
+}
+
+// Options of `linterOptions.typescript`
+TypeScriptLinter.options = [
+  { name: 'configFile', type: 'string' },
+  { name: 'extensions', type: 'string[]' },
+];
+
+module.exports = TypeScriptLinter;
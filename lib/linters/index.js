@@ -0,0 +1,46 @@
+/**
+ * All linters must implement the interface defined below.
+ *
+ * name: string
+ *
+ * extensions: string[]
+ *
+ * lint(file: string, path: string): Promise<{
+ *   line: number,
+ *   column: number,
+ *   severity: 1 | 2,
+ *   ruleId: string | null,
+ *   message: string,
+ *   ruleUrl?: string,
+ *   fix?: {
+ *     range: [number, number],
+ *     text: string,
+ *   },
+ * }[]>
+ *
+ * `severity` is 1 for warnings and 2 for errors, `fix.range` are offsets in `file`. `ruleUrl` is
+ * the documentation of the rule, the `ruleUrls` option is used for messages without one.
+ *
+ * Linters may implement `lintsPath(path: string): boolean` to pick the files they lint, instead of
+ * the files that end with one of `extensions`.
+ *
+ * Linters that keep the files they lint, e.g. to type check files against each other, implement
+ * `lintBase(file: string, path: string)` to lint the file before the change with `--baseline`
+ * without keeping it.
+ *
+ * Linters may set `readsFile` to `false` when their messages do not depend on `file`, they are
+ * not compared to the file before the change with `--baseline`.
+ */
+const ESLintLinter = require('./ESLintLinter');
+const StylelintLinter = require('./StylelintLinter');
+const TypeScriptLinter = require('./TypeScriptLinter');
+const PrettierLinter = require('./PrettierLinter');
+const ReportLinter = require('./ReportLinter');
+
+module.exports = {
+  eslint: ESLintLinter,
+  stylelint: StylelintLinter,
+  typescript: TypeScriptLinter,
+  prettier: PrettierLinter,
+  report: ReportLinter,
+};
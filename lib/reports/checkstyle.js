@@ -0,0 +1,59 @@
+const SEVERITY = {
+  error: 2,
+  warning: 1,
+  info: 1,
+};
+
+const decodeEntities = s => s
+  .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  tag.replace(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (m, name, doubleQuoted, singleQuoted) => {
+    attributes[name] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+    return m;
+  });
+  return attributes;
+};
+
+/**
+ * Parses a Checkstyle XML report, e.g. the output of `eslint --format checkstyle`.
+ *
+ * @param {string} report
+ * @returns {ReportMessage[]}
+ */
+function parseCheckstyleReport(report) {
+  const messages = [];
+  const fileRegExp = /<file\b([^>]*?)(?:\/>|>([\s\S]*?)<\/file>)/g;
+  let file = fileRegExp.exec(report);
+  while (file) {
+    const { name } = parseAttributes(file[1]);
+    const errors = (file[2] || '').match(/<error\b[^>]*>/g) || [];
+    errors.forEach((error) => {
+      const attributes = parseAttributes(error);
+      // ESLint prefixes its rules, e.g. `eslint.rules.semi`
+      const ruleId = attributes.source ? attributes.source.replace(/^eslint\.rules\./, '') : null;
+      // `message` is optional in Checkstyle
+      const text = attributes.message || ruleId || 'Checkstyle error';
+      messages.push({
+        path: name,
+        line: Number(attributes.line) || 1,
+        column: Number(attributes.column) || 1,
+        severity: SEVERITY[attributes.severity] || SEVERITY.error,
+        ruleId,
+        // ESLint appends the rule to the message, e.g. `Missing semicolon. (semi)`
+        message: ruleId ? text.replace(` (${ruleId})`, '') : text,
+      });
+    });
+    file = fileRegExp.exec(report);
+  }
+  return messages;
+}
+
+module.exports = parseCheckstyleReport;
@@ -0,0 +1,21 @@
+/**
+ * Parses the output of `eslint --format json`.
+ *
+ * @param {string} report
+ * @returns {ReportMessage[]}
+ */
+function parseESLintReport(report) {
+  return JSON.parse(report)
+    .map(fileResult => fileResult.messages.map(message => ({
+      path: fileResult.filePath,
+      line: message.line || 1,
+      column: message.column || 1,
+      severity: message.severity,
+      ruleId: message.ruleId,
+      message: message.message,
+      ...(message.fix ? { fix: message.fix } : {}),
+    })))
+    .reduce((messages, fileMessages) => messages.concat(fileMessages), []);
+}
+
+module.exports = parseESLintReport;
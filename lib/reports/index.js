@@ -0,0 +1,32 @@
+/**
+ * Reports that can be imported instead of linting, every parser takes the contents of a report
+ * and returns its messages.
+ *
+ * parse(report: string): {
+ *   path: string,
+ *   line: number,
+ *   column: number,
+ *   severity: 1 | 2,
+ *   ruleId: string | null,
+ *   message: string,
+ *   ruleUrl?: string,
+ *   fix?: {
+ *     range: [number, number],
+ *     text: string,
+ *   } | {
+ *     region: { startLine, startColumn, endLine, endColumn },
+ *     text: string,
+ *   },
+ * }[]
+ *
+ * `path` is the path as written in the report, it may be absolute or a `file://` URI.
+ */
+const parseESLintReport = require('./eslint');
+const parseSarifReport = require('./sarif');
+const parseCheckstyleReport = require('./checkstyle');
+
+module.exports = {
+  eslint: parseESLintReport,
+  sarif: parseSarifReport,
+  checkstyle: parseCheckstyleReport,
+};
@@ -0,0 +1,102 @@
+const SEVERITY = {
+  error: 2,
+  warning: 1,
+  note: 1,
+};
+
+/**
+ * Resolves `uriBaseId` through the run's `originalUriBaseIds`, e.g. `%SRCROOT%/src/app.js`.
+ */
+function resolveUri(run, artifactLocation) {
+  const baseIds = run.originalUriBaseIds || {};
+  let { uri } = artifactLocation;
+  let { uriBaseId } = artifactLocation;
+  while (uriBaseId && baseIds[uriBaseId]) {
+    uri = baseIds[uriBaseId].uri.replace(/\/?$/, '/') + uri;
+    ({ uriBaseId } = baseIds[uriBaseId]);
+  }
+  return uri;
+}
+
+/**
+ * Only fixes that make a single replacement in the file that has the message are supported, the
+ * others are left out.
+ */
+function parseFix(result) {
+  const [fix] = result.fixes || [];
+  if (!fix || !fix.artifactChanges || fix.artifactChanges.length !== 1) {
+    return null;
+  }
+  const [replacement, ...otherReplacements] = fix.artifactChanges[0].replacements || [];
+  if (!replacement || otherReplacements.length > 0) {
+    return null;
+  }
+  const { deletedRegion: region, insertedContent } = replacement;
+  if (!region) {
+    return null;
+  }
+  const text = insertedContent ? insertedContent.text : '';
+  if (typeof region.charOffset === 'number') {
+    return { range: [region.charOffset, region.charOffset + (region.charLength || 0)], text };
+  }
+  return {
+    region: {
+      startLine: region.startLine,
+      startColumn: region.startColumn || 1,
+      endLine: region.endLine || region.startLine,
+      endColumn: region.endColumn || region.startColumn || 1,
+    },
+    text,
+  };
+}
+
+/**
+ * Documentation of the rule of a result, the `helpUri` of the rule the tool describes.
+ */
+function ruleUrl(run, result) {
+  const rules = (run.tool && run.tool.driver && run.tool.driver.rules) || [];
+  const rule = typeof result.ruleIndex === 'number'
+    ? rules[result.ruleIndex]
+    : rules.find(r => r.id === result.ruleId);
+  return rule && rule.helpUri ? rule.helpUri : null;
+}
+
+/**
+ * @returns {object} the first location of a result that is in a file, results may also have no
+ * location or only logical ones such as a function name
+ */
+function physicalLocation(result) {
+  const location = (result.locations || [])
+    .find(l => l.physicalLocation && l.physicalLocation.artifactLocation);
+  return location ? location.physicalLocation : null;
+}
+
+/**
+ * Parses a SARIF 2.1 log. Results that are not in a file cannot be commented on and are left out.
+ *
+ * @param {string} report
+ * @returns {ReportMessage[]}
+ */
+function parseSarifReport(report) {
+  return JSON.parse(report).runs
+    .map(run => (run.results || [])
+      .filter(result => result.level !== 'none' && physicalLocation(result))
+      .map((result) => {
+        const { artifactLocation, region = {} } = physicalLocation(result);
+        const fix = parseFix(result);
+        const url = ruleUrl(run, result);
+        return {
+          path: resolveUri(run, artifactLocation),
+          line: region.startLine || 1,
+          column: region.startColumn || 1,
+          severity: SEVERITY[result.level] || SEVERITY.warning,
+          ruleId: result.ruleId || null,
+          message: result.message.text || result.message.id,
+          ...(url ? { ruleUrl: url } : {}),
+          ...(fix ? { fix } : {}),
+        };
+      }))
+    .reduce((messages, runMessages) => messages.concat(runMessages), []);
+}
+
+module.exports = parseSarifReport;
@@ -0,0 +1,756 @@
+const fs = require('fs');
+const util = require('util');
+const minimatch = require('minimatch');
+const vcpByName = require('./vcp');
+const { resolveOptions } = require('./config');
+const FetchParallel = require('./helpers/FetchParallel');
+const invariant = require('./helpers/invariant');
+const fingerprint = require('./helpers/fingerprint');
+const diffScope = require('./helpers/diffScope');
+const gate = require('./helpers/gate');
+const Workspace = require('./helpers/Workspace');
+const baseline = require('./helpers/baseline');
+const ruleUrl = require('./helpers/ruleUrl');
+const createLogger = require('./helpers/createLogger');
+const redact = require('./helpers/redact');
+const Cassette = require('./helpers/Cassette');
+const TimeoutError = require('./errors/TimeoutError');
+const FetchError = require('./errors/FetchError');
+const ConfigError = require('./errors/ConfigError');
+const JobsError = require('./errors/JobsError');
+const eslintMessage = require('./lint/eslint');
+const summaryMessage = require('./lint/summary');
+const codeQualityReport = require('./lint/codeQuality');
+const runReport = require('./lint/runReport');
+const ESLintLinter = require('./linters/ESLintLinter');
+const ReportLinter = require('./linters/ReportLinter');
+const linterByName = require('./linters');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const SEVERITY_BY_NAME = { warning: 1, error: 2 };
+
+/**
+ * Lints the pull request and comments on it. Unlike `lintbot()`, options are only read from
+ * `options`, neither from the command line nor from `.lintbotrc`, and nothing global is changed.
+ *
+ * @param {object} options every option of `lib/config/options.js` that is not a provider option
+ * @param {string|object} options.provider name of the provider or an instance of a VCP, see
+ * `lib/vcp/index.js`
+ * @param {object} options.providerOptions options of the provider, such as `mode` or `base`
+ * @param {object} options.credentials passed to the constructor of the provider instead of its
+ * environment variables, such as `{ token, repo, prId }`
+ * @param {function} options.CLIEngine ESLint's `CLIEngine`
+ * @param {Array<object|string>} options.linters other linters, see `lib/linters/index.js`, or
+ * the names of the linters that lintbot creates with `linterOptions`
+ * @param {object} options.logger defaults to `console`, lines are printed as `logFormat` and
+ * `logLevel` say with credentials masked
+ * @returns {Promise<object>} what the run did
+ * @throws {ConfigError} when an option is invalid
+ * @throws {JobsError} when the pull request could not be linted
+ * @example
+ * await lintbot.run({
+ *   provider: 'github',
+ *   credentials: { token: process.env.TOKEN, repo: 'omarchehab98/lintbot', prId: '42' },
+ *   CLIEngine,
+ *   maxErrors: 0,
+ * });
+ * // => {
+ * //   exitCode: 1,
+ * //   verdict: { passed: false, errors: 2, warnings: 0, message: '...' },
+ * //   messages: [{ path: 'client/app.js', line: 1, ruleId: 'semi', ... }],
+ * //   posted: [{ path: 'client/app.js', line: 1, fingerprint: '...', ... }],
+ * //   kept: [],
+ * //   deleted: [549],
+ * //   resolved: [],
+ * //   skipped: [{ path: 'client/app.js', line: 40, reason: 'scope' }],
+ * //   overflow: [],
+ * //   errors: [],
+ * // }
+ */
+async function run({
+  provider,
+  providerOptions = {},
+  credentials = {},
+  CLIEngine,
+  linters = [],
+  logger: baseLogger = console,
+  ...options
+} = {}) {
+  const startedAt = Date.now();
+  const isInstance = typeof provider === 'object' && provider !== null;
+  const config = resolveOptions({
+    ...options,
+    linters: linters.filter(l => typeof l === 'string'),
+    ...(isInstance ? {} : { provider }),
+  });
+  if (!isInstance && !config.provider) {
+    throw new ConfigError(`No version control provider given, expected one of ${Object.keys(vcpByName).join(', ')}`);
+  }
+
+  const {
+    eslintConfig: configFile,
+    dryRun,
+    limit,
+    retry,
+    retryDelayMs,
+    maxRetryDelayMs,
+    maxRateLimitWaitMs,
+    timeoutMs,
+    extensions,
+    linters: linterNames,
+    linterOptions = {},
+    include,
+    exclude,
+    severity,
+    // Lines that are commented on, see `diffScope`
+    scope: scopeOption,
+    report: reportOption,
+    reportFormat,
+    summary: summaryOption,
+    codeQuality: codeQualityOption,
+    workspace: workspaceOption,
+    maxErrors,
+    maxWarnings,
+    newOnly,
+    baseline: baselineOption,
+    baselineFile,
+    maxComments,
+    reportFile,
+    record: recordOption,
+    replay: replayOption,
+    logFormat,
+    logLevel,
+    ruleUrls = {},
+    templates: templatesOption,
+  } = config;
+
+  // Credentials are masked in every line that is logged and in the report
+  const secrets = redact.secrets({ ...providerOptions, ...credentials });
+  const logger = createLogger({
+    logger: baseLogger,
+    format: logFormat,
+    level: logLevel,
+    secrets,
+  });
+
+  invariant(
+    typeof CLIEngine === 'function' || linters.length > 0 || typeof reportOption === 'string',
+    'CLIEngine is not defined, you can import it from eslint `require("eslint").CLIEngine`',
+  );
+
+
+  // URL patterns and templates are only checked to be objects by the configuration
+  const checkStrings = (values, name) => Object.keys(values).forEach((key) => {
+    if (typeof values[key] !== 'string') {
+      throw new ConfigError(`Option "${name}.${key}" must be a string`);
+    }
+  });
+  checkStrings(ruleUrls, 'ruleUrls');
+  Object.keys(templatesOption || {}).forEach((key) => {
+    const value = templatesOption[key];
+    if (!(key in eslintMessage.TEMPLATES)) {
+      throw new ConfigError(`Unknown option "templates.${key}"`);
+    }
+    if (typeof eslintMessage.TEMPLATES[key] === 'string') {
+      checkStrings({ [key]: value }, 'templates');
+    } else if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      throw new ConfigError(`Option "templates.${key}" must be an object`);
+    } else {
+      checkStrings(value, `templates.${key}`);
+    }
+  });
+  const templates = eslintMessage.templates(templatesOption);
+
+  // Lint messages accepted by the baseline file by path and rule
+  let suppressions = null;
+  if (baselineFile) {
+    try {
+      suppressions = JSON.parse(await readFile(baselineFile, 'utf8'));
+    } catch (err) {
+      throw new ConfigError(`Cannot read ${baselineFile}: ${err.message}`);
+    }
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    const isValid = isObject(suppressions) && Object.keys(suppressions).every((path) => {
+      const rules = suppressions[path];
+      return isObject(rules) && Object.keys(rules).every(ruleId => isObject(rules[ruleId])
+        && Number.isInteger(rules[ruleId].count) && rules[ruleId].count >= 0);
+    });
+    if (!isValid) {
+      throw new ConfigError(`${baselineFile} must map paths to rules and their count, e.g. { "client/app.js": { "no-var": { "count": 2 } } }`);
+    }
+  }
+
+  // Messages below the threshold are dropped before anything is commented or counted
+  const minSeverity = SEVERITY_BY_NAME[severity];
+
+  // Linters lint the files with one of their extensions unless they pick them themselves
+  const lintsPath = (l, path) => (l.lintsPath
+    ? l.lintsPath(path)
+    : l.extensions.some(ext => path.endsWith(ext)));
+
+  // Paths are linted when they match an `include` glob, if any, and no `exclude` glob
+  const isIncluded = path => (include.length === 0
+    || include.some(glob => minimatch(path, glob, { dot: true })))
+    && !exclude.some(glob => minimatch(path, glob, { dot: true }));
+
+  if (recordOption && replayOption) {
+    throw new ConfigError('Options record and replay cannot be used together');
+  }
+
+  // Requests to the provider go through the cassette when recording or replaying
+  let cassette = null;
+  if (recordOption || replayOption) {
+    cassette = new Cassette(recordOption || replayOption, {
+      mode: recordOption ? 'record' : 'replay',
+      secrets,
+    });
+    if (replayOption) {
+      await cassette.load();
+    }
+  }
+
+  const vcp = isInstance ? provider : new vcpByName[config.provider]({
+    dryRun,
+    logger,
+    ...(cassette ? { fetch: cassette.fetch } : {}),
+    ...providerOptions,
+    ...credentials,
+  });
+  const vcpName = isInstance ? vcp.constructor.name : config.provider;
+
+  if (isInstance && cassette) {
+    logger.warn(`${vcpName} is given as an instance, its requests are neither recorded nor replayed`);
+  }
+
+  // What the provider can render, it may depend on how the provider is configured. Providers
+  // that declare nothing get plain comments on the lines of the diff.
+  const suggestionsOptions = vcp.suggestions || vcp.constructor.suggestions || {};
+  const postsSuggestions = vcp.constructor.postsSuggestions !== false;
+
+  // Providers given as an instance are checked up front rather than failing partway through
+  if (isInstance) {
+    const requiredMethods = ['fetchFilePaths', 'fetchFile', 'suggestChange', 'attachSignal']
+      .concat(postsSuggestions ? ['deleteSuggestion'] : [])
+      .concat(postsSuggestions && !vcp.fetchSuggestions ? ['fetchSuggestionIds'] : []);
+    const missingMethods = requiredMethods.filter(name => typeof vcp[name] !== 'function');
+    invariant(
+      missingMethods.length === 0,
+      `${vcpName} is missing ${missingMethods.join(', ')}, see lib/vcp/index.js`,
+    );
+  }
+
+  // ESLint runs on `extensions` when CLIEngine is given unless its results are imported from a
+  // report, other linters bring their own
+  // Linters given by name use the package the project installed
+  const namedLinters = linterNames.map((name) => {
+    let packagePath;
+    try {
+      packagePath = require.resolve(name, { paths: [process.cwd()] });
+    } catch (err) {
+      throw new ConfigError(`Cannot find ${name} from ${process.cwd()}, install it with npm install --save-dev ${name}`);
+    }
+    const Linter = linterByName[name];
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return new Linter({ ...linterOptions[name], [name]: require(packagePath) });
+  });
+  let allLinters = namedLinters.concat(linters.filter(l => typeof l !== 'string'));
+  if (reportOption) {
+    allLinters = [new ReportLinter({ report: reportOption, format: reportFormat })]
+      .concat(allLinters);
+  } else if (CLIEngine) {
+    allLinters = [new ESLintLinter({ CLIEngine, configFile, extensions })].concat(allLinters);
+  }
+
+  const dispatcher = new FetchParallel({
+    limit,
+    timeoutMs,
+    retry,
+    retryDelayMs,
+    maxRetryDelayMs,
+    maxRateLimitWaitMs,
+    shouldRetry: err => err instanceof TimeoutError
+      || (err instanceof FetchError && err.status >= 500 && err.status < 600),
+    // Every other request would fail the same way with bad credentials
+    failFast: err => err instanceof FetchError && err.status === 401,
+  });
+
+  dispatcher.on('retry', ({ name, retry: attempt }, err, delayMs) => {
+    logger.warn(`${name} failed on attempt ${attempt}, retrying in ${Math.round(delayMs)}ms: ${err.message}`);
+  });
+
+  // Timing and attempts of every job that started, for the report
+  const jobs = new Map();
+  dispatcher.on('start', (job) => {
+    jobs.set(job.id, { startedAt: Date.now(), ...jobs.get(job.id), ...job });
+  });
+  dispatcher.on('finish', (job, result, err) => {
+    jobs.set(job.id, {
+      ...jobs.get(job.id),
+      ...job,
+      finishedAt: Date.now(),
+      error: err,
+    });
+  });
+
+  // Every lint message of the pull request
+  const lintMessages = [];
+
+  // Lint messages that were not commented on
+  const skipped = [];
+
+  // What became of every lint message, including the ones that are not in `lintMessages`
+  const statuses = new Map();
+
+  // What happened to the comments of the pull request
+  const posted = [];
+  const kept = [];
+  const deleted = [];
+  const resolved = [];
+
+  // Jobs that failed after the pull request was linted, the run goes on without them
+  const errors = [];
+  const settle = async () => {
+    try {
+      await dispatcher.yield();
+    } catch (err) {
+      if (!(err instanceof JobsError) || err.cancelled > 0) {
+        throw err;
+      }
+      errors.push(...err.errors);
+    }
+  };
+
+  // One suggestion per line that has lint messages
+  const lineSuggestions = [];
+
+  // Suggestions that were posted by a previous run, keyed by fingerprint. Providers that cannot
+  // tell suggestions apart have all of their old suggestions deleted up front instead.
+  const oldSuggestions = new Map();
+  const fingerprintById = new Map();
+
+  let result = null;
+  let fatalError = null;
+  // Whether the provider has to be told that the run stopped, e.g. to complete a check run
+  let isSuggesting = false;
+
+  try {
+    // Providers that never post, such as `local`, have nothing to clean up
+    if (postsSuggestions) {
+      dispatcher.add(async (getSuggestIdsSignal) => {
+        vcp.attachSignal(getSuggestIdsSignal);
+
+        if (vcp.fetchSuggestions) {
+          const suggestions = await vcp.fetchSuggestions();
+          suggestions.forEach((suggestion) => {
+            const fp = fingerprint.extract(suggestion.body);
+            if (fp && !oldSuggestions.has(fp)) {
+              oldSuggestions.set(fp, suggestion);
+              fingerprintById.set(suggestion.id, fp);
+            } else {
+              // Comments from before fingerprints were introduced or duplicates are always stale
+              oldSuggestions.set(Symbol('stale'), suggestion);
+            }
+          });
+          return;
+        }
+
+        const oldSuggestionIds = await vcp.fetchSuggestionIds();
+
+        oldSuggestionIds.forEach((suggestionId) => {
+          dispatcher.add(async (deleteSuggestionSignal) => {
+            vcp.attachSignal(deleteSuggestionSignal);
+            await vcp.deleteSuggestion(suggestionId);
+            deleted.push(suggestionId);
+          }, { name: `deleteSuggestion ${suggestionId}`, priority: 'high' });
+        });
+      }, { name: vcp.fetchSuggestions ? 'fetchSuggestions' : 'fetchSuggestionIds', priority: 'high' });
+
+      await dispatcher.yield();
+    }
+
+    dispatcher.add(async (fetchFilePathsSignal) => {
+      vcp.attachSignal(fetchFilePathsSignal);
+
+      const filePaths = (await vcp.fetchFilePaths())
+        .filter(file => isIncluded(file)
+          && allLinters.some(l => lintsPath(l, file)));
+
+      if (!vcp.getDiff && scopeOption !== 'file') {
+        logger.warn(`${vcpName} does not know which lines changed, the whole file is commented on`);
+      }
+      if (baselineOption && !vcp.fetchBaseFile) {
+        logger.warn(`${vcpName} cannot fetch files before the change, --baseline is ignored`);
+      }
+
+      // Files are read from the checkout only when it has the commit the provider comments on
+      let workspace = null;
+      if (workspaceOption) {
+        const headSha = vcp.getHeadSha ? vcp.getHeadSha() : null;
+        const checkout = new Workspace(workspaceOption, logger);
+        if (!headSha) {
+          logger.warn(`${vcpName} does not tell which commit is linted, files are fetched from ${vcpName}`);
+        } else if (await checkout.isAt(headSha)) {
+          workspace = checkout;
+        } else {
+          logger.warn(`Workspace ${workspaceOption} is not at ${headSha}, files are fetched from ${vcpName}`);
+        }
+      }
+
+      if (vcp.beforeSuggestionsStart) {
+        await vcp.beforeSuggestionsStart();
+        isSuggesting = true;
+      }
+
+      filePaths.forEach((path) => {
+        dispatcher.add(async (fetchFileSignal) => {
+          let file;
+          if (workspace) {
+            file = await workspace.readFile(vcp.getHeadSha(), path, fetchFileSignal);
+          } else {
+            vcp.attachSignal(fetchFileSignal);
+            file = await vcp.fetchFile(path);
+          }
+          const lines = file.split('\n');
+          const diff = vcp.getDiff ? vcp.getDiff(path) : null;
+
+          const pathLinters = allLinters.filter(l => lintsPath(l, path));
+          const lintWith = async (fileLinters, source, isBase = false) => {
+            const lintReports = await Promise.all(fileLinters.map(async (l) => {
+              // Linters that keep the files they lint must not keep the file before the change
+              const messages = isBase && l.lintBase
+                ? await l.lintBase(source, path)
+                : await l.lint(source, path);
+              return messages
+                .filter(message => message.severity >= minSeverity)
+                .map((message) => {
+                  // Linters that know the documentation of their rules take precedence
+                  const url = message.ruleUrl || ruleUrl(message.ruleId, l.name, ruleUrls);
+                  return { ...message, linter: l.name, ...(url ? { ruleUrl: url } : {}) };
+                });
+            }));
+            return lintReports.reduce(
+              (allMessages, linterMessages) => allMessages.concat(linterMessages),
+              [],
+            );
+          };
+
+          const messages = await lintWith(pathLinters, file);
+
+          // Messages that the file had before the change are left out
+          const existing = new Set();
+          const baseLinters = pathLinters.filter(l => l.readsFile !== false);
+          if (baselineOption && vcp.fetchBaseFile && baseLinters.length > 0) {
+            vcp.attachSignal(fetchFileSignal);
+            const baseFile = await vcp.fetchBaseFile(path);
+            if (baseFile !== null) {
+              const baseMessages = await lintWith(baseLinters, baseFile, true);
+              baseline(messages, baseMessages, diff).forEach(m => existing.add(m));
+            }
+          }
+          if (suppressions) {
+            baseline.suppressed(messages, path, suppressions).forEach(m => existing.add(m));
+          }
+          existing.forEach((message) => {
+            skipped.push({ path, line: message.line, reason: 'baseline' });
+            statuses.set({ path, ...message }, { status: 'skipped', reason: 'baseline' });
+          });
+
+          // Identical messages on identical lines are numbered to keep fingerprints unique
+          const fingerprintCounts = {};
+
+          const fileMessages = messages.filter(m => !existing.has(m)).map((message) => {
+            let fp = fingerprint({
+              path,
+              ruleId: message.ruleId,
+              source: lines[message.line - 1] || '',
+              message: message.message,
+            });
+            fingerprintCounts[fp] = (fingerprintCounts[fp] || 0) + 1;
+            if (fingerprintCounts[fp] > 1) {
+              fp = `${fp}-${fingerprintCounts[fp]}`;
+            }
+            const lintMessage = {
+              path,
+              fingerprint: fp,
+              // Without a diff every message is attributed to the pull request
+              isNew: diff ? diffScope(diff, message.line, 'added') : true,
+              ...message,
+            };
+            lintMessages.push(lintMessage);
+            return lintMessage;
+          });
+
+          // Messages on the same line are commented on together
+          const messagesByLine = new Map();
+          fileMessages.forEach((message) => {
+            messagesByLine.set(
+              message.line,
+              (messagesByLine.get(message.line) || []).concat(message),
+            );
+          });
+
+          messagesByLine.forEach((lineMessages, line) => {
+            if (diff) {
+              if (!diffScope(diff, line, scopeOption)) {
+                lineMessages.forEach((message) => {
+                  skipped.push({ path, line, reason: 'scope' });
+                  statuses.set(message, { status: 'skipped', reason: 'scope' });
+                });
+                return;
+              }
+              if (!suggestionsOptions.suggestionOutsideDiff && !diffScope(diff, line, 'hunks')) {
+                lineMessages.forEach((message) => {
+                  skipped.push({ path, line, reason: 'diff' });
+                  statuses.set(message, { status: 'skipped', reason: 'diff' });
+                });
+                return;
+              }
+            }
+
+            const fp = fingerprint.combine(lineMessages.map(m => m.fingerprint));
+            const fix = eslintMessage.combineFixes(
+              file,
+              lineMessages.map(m => m.fix).filter(Boolean),
+            );
+            const fixed = fix ? eslintMessage.fixedSource(file, fix) : null;
+            const ruleIds = lineMessages.map(m => m.ruleId).filter(Boolean);
+
+            // Providers that comment on the lines a fix replaces need every one of them to be
+            // commentable, otherwise the fix is left out
+            let capabilities = suggestionsOptions;
+            let range = null;
+            if (fixed && suggestionsOptions.suggestionSnippet
+              && suggestionsOptions.suggestionSnippetRange) {
+              const rangeLines = Array.from(
+                { length: fixed.endLine - fixed.startLine + 1 },
+                (_, i) => fixed.startLine + i,
+              );
+              if (!diff || suggestionsOptions.suggestionOutsideDiff
+                || rangeLines.every(l => diffScope(diff, l, 'hunks'))) {
+                range = { start: fixed.startLine, end: fixed.endLine };
+              } else {
+                capabilities = { ...suggestionsOptions, suggestionSnippet: false };
+              }
+            }
+
+            lineSuggestions.push({
+              path,
+              messages: lineMessages,
+              suggestion: {
+                line,
+                range,
+                fingerprint: fp,
+                message: fingerprint.embed(
+                  eslintMessage(capabilities, file, lineMessages, templates),
+                  fp,
+                ),
+                severity: Math.max(...lineMessages.map(m => m.severity)),
+                ruleId: ruleIds.length > 0 ? ruleIds.join(', ') : null,
+                text: lineMessages.map(m => m.message).join('\n'),
+                fixedSource: fixed ? fixed.suggestion : null,
+              },
+            });
+          });
+        }, { name: `fetchFile ${path}`, meta: { path } });
+      });
+    }, { name: 'fetchFilePaths', priority: 'high' });
+
+    await dispatcher.yield();
+
+    // Errors are commented on first when there are more comments than allowed, the others are
+    // listed in the summary. Comments of a previous run come before new ones of the same severity
+    // and are kept even above the limit, they are not fixed
+    const wasPosted = s => oldSuggestions.has(s.suggestion.fingerprint);
+    lineSuggestions.sort((a, b) => (b.suggestion.severity - a.suggestion.severity)
+      || (wasPosted(b) - wasPosted(a))
+      || a.path.localeCompare(b.path)
+      || (a.suggestion.line - b.suggestion.line));
+    const withinLimit = maxComments === undefined
+      ? lineSuggestions
+      : lineSuggestions.slice(0, maxComments);
+    const aboveLimit = lineSuggestions.slice(withinLimit.length);
+    const inlineSuggestions = withinLimit.concat(aboveLimit.filter(wasPosted));
+    const overflow = aboveLimit
+      .filter(s => !wasPosted(s))
+      .reduce((overflowMessages, s) => overflowMessages.concat(s.messages), []);
+    overflow.forEach(message => statuses.set(message, { status: 'skipped', reason: 'maxComments' }));
+
+    // Stale comments are removed before new ones are posted
+    inlineSuggestions
+      .filter(({ path, messages, suggestion }) => {
+        // The comment from the previous run is kept as is
+        const isPosted = oldSuggestions.has(suggestion.fingerprint);
+        oldSuggestions.delete(suggestion.fingerprint);
+        if (isPosted) {
+          kept.push({ path, ...suggestion });
+          messages.forEach(message => statuses.set(message, { status: 'kept' }));
+        }
+        return !isPosted;
+      })
+      .forEach(({ path, messages, suggestion }) => {
+        const jobId = dispatcher.add(async (suggestChangeSignal) => {
+          vcp.attachSignal(suggestChangeSignal);
+          const isCommented = await vcp.suggestChange(path, suggestion);
+          if (isCommented === false) {
+            messages.forEach((message) => {
+              skipped.push({ path, line: suggestion.line, reason: 'diff' });
+              statuses.set(message, { status: 'skipped', reason: 'diff' });
+            });
+            return;
+          }
+          posted.push({ path, ...suggestion });
+          messages.forEach(message => statuses.set(message, { status: 'posted', job: jobId }));
+        }, {
+          name: `suggestChange ${path}:${suggestion.line}`,
+          meta: { path, line: suggestion.line },
+          priority: 'low',
+        });
+        // Until the job succeeds
+        messages.forEach(message => statuses.set(message, { status: 'failed', job: jobId }));
+      });
+
+    // Whatever was not matched by a new suggestion has been fixed
+    oldSuggestions.forEach((suggestion) => {
+      dispatcher.add(async (removeSuggestionSignal) => {
+        vcp.attachSignal(removeSuggestionSignal);
+        if (suggestion.hasReplies && vcp.resolveSuggestion) {
+          await vcp.resolveSuggestion(suggestion.id);
+          resolved.push(suggestion.id);
+        } else {
+          await vcp.deleteSuggestion(suggestion.id);
+          deleted.push(suggestion.id);
+        }
+      }, { name: `removeSuggestion ${suggestion.id}`, priority: 'high' });
+    });
+
+    await settle();
+
+    const verdict = gate({
+      messages: lintMessages,
+      maxErrors,
+      maxWarnings,
+      newOnly,
+    });
+
+    if (verdict && vcp.setVerdict) {
+      dispatcher.add(async (setVerdictSignal) => {
+        vcp.attachSignal(setVerdictSignal);
+        await vcp.setVerdict(verdict);
+      }, { name: 'setVerdict' });
+
+      await settle();
+    }
+
+    if (vcp.afterSuggestionsEnd) {
+      dispatcher.add(async (afterSuggestionsEndSignal) => {
+        vcp.attachSignal(afterSuggestionsEndSignal);
+        await vcp.afterSuggestionsEnd();
+        isSuggesting = false;
+      }, { name: 'afterSuggestionsEnd' });
+
+      await settle();
+    }
+
+    const skippedByScope = skipped.filter(s => s.reason === 'scope').length;
+    const skippedByDiff = skipped.filter(s => s.reason === 'diff').length;
+    const skippedByBaseline = skipped.filter(s => s.reason === 'baseline').length;
+    if (skippedByScope > 0) {
+      logger.log(`Skipped ${skippedByScope} lint messages outside of the "${scopeOption}" scope`);
+    }
+    if (skippedByDiff > 0) {
+      logger.log(`Skipped ${skippedByDiff} lint messages that ${vcpName} cannot comment on outside of the diff`);
+    }
+    if (skippedByBaseline > 0) {
+      logger.log(`Skipped ${skippedByBaseline} lint messages that existed before the change`);
+    }
+    if (overflow.length > 0) {
+      logger.log(`Skipped ${overflow.length} lint messages above the limit of ${maxComments} comments`);
+      // They are listed in the summary when there is one
+      if (!summaryOption || !vcp.updateSummary) {
+        overflow.forEach(m => logger.log(`  ${m.path}:${m.line} ${m.message}${m.ruleId ? ` (${m.ruleId})` : ''}`));
+      }
+    }
+
+    if (codeQualityOption) {
+      await writeFile(codeQualityOption, JSON.stringify(codeQualityReport(lintMessages), null, 2));
+    }
+
+    if (summaryOption && vcp.updateSummary) {
+      const summaryBody = summaryMessage({
+        messages: lintMessages,
+        skipped: {
+          scope: skippedByScope,
+          diff: skippedByDiff,
+          baseline: skippedByBaseline,
+        },
+        scope: scopeOption,
+        overflow,
+        verdict,
+        templates,
+      });
+
+      dispatcher.add(async (updateSummarySignal) => {
+        vcp.attachSignal(updateSummarySignal);
+        await vcp.updateSummary(fingerprint.embed(summaryBody, 'summary'));
+      }, { name: 'updateSummary' });
+
+      await settle();
+    }
+
+    if (verdict) {
+      logger.log(`Merge policy ${verdict.passed ? 'passed' : 'failed'}: ${verdict.message}`);
+    }
+
+    errors.forEach(err => logger.error(err.message));
+
+    result = {
+      exitCode: (verdict && !verdict.passed) || errors.length > 0 ? 1 : 0,
+      verdict,
+      messages: lintMessages,
+      posted,
+      kept,
+      deleted,
+      resolved,
+      skipped,
+      overflow,
+      errors,
+    };
+    return result;
+  } catch (err) {
+    fatalError = err;
+    throw err;
+  } finally {
+    if (isSuggesting && vcp.afterSuggestionsError) {
+      try {
+        // The signal of the job that failed may be aborted
+        vcp.attachSignal(null);
+        await vcp.afterSuggestionsError(fatalError || errors[errors.length - 1]);
+      } catch (err) {
+        logger.warn(`afterSuggestionsError failed: ${err.message}`);
+      }
+    }
+    if (cassette && cassette.mode === 'record') {
+      await cassette.save();
+    }
+    if (reportFile) {
+      const describeComment = id => ({ id, fingerprint: fingerprintById.get(id) || null });
+      await writeFile(reportFile, JSON.stringify(runReport({
+        provider: vcpName,
+        startedAt,
+        finishedAt: Date.now(),
+        exitCode: result ? result.exitCode : null,
+        verdict: result ? result.verdict : null,
+        messages: Array.from(statuses, ([message, status]) => ({ message, ...status })),
+        deleted: deleted.map(describeComment),
+        resolved: resolved.map(describeComment),
+        jobs: Array.from(jobs.values()),
+        errors: fatalError ? errors.concat(fatalError) : errors,
+        secrets,
+      }), null, 2));
+    }
+  }
+}
+
+module.exports = run;
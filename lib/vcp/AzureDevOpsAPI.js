@@ -0,0 +1,438 @@
+const fetch = require('node-fetch');
+const FetchError = require('../errors/FetchError');
+const invariant = require('../helpers/invariant');
+const pkg = require('../../package.json');
+
+const API_VERSION = '7.0';
+// The connection data resource is only available as a preview
+const CONNECTION_DATA_API_VERSION = '7.0-preview';
+// Unchanged lines shown around a change, like `git diff`
+const CONTEXT_LINES = 3;
+// File diffs are posted but only read
+const READ_ONLY_URLS = ['/filediffs'];
+
+/**
+ * Converts the blocks of a file diff to the format of `parse-diff`. Azure DevOps only returns the
+ * line numbers of the blocks, unchanged lines around them are added as context. Context past the
+ * end of the file has no lint messages and does no harm.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {object[]} blocks `lineDiffBlocks` of a file diff
+ * @returns {object}
+ */
+function toParseDiff(from, to, blocks) {
+  const chunks = [];
+  let chunk = null;
+  let oldLine;
+  let newLine;
+  const push = (type, count) => {
+    for (let i = 0; i < count; i += 1) {
+      if (type === 'normal') {
+        chunk.changes.push({ type, ln1: oldLine, ln2: newLine });
+      } else {
+        chunk.changes.push({ type, ln: type === 'add' ? newLine : oldLine });
+      }
+      oldLine += type === 'add' ? 0 : 1;
+      newLine += type === 'del' ? 0 : 1;
+    }
+  };
+
+  blocks
+    .filter(block => block.changeType !== 'none')
+    .forEach((block) => {
+      const gap = chunk ? block.modifiedLineNumberStart - newLine : null;
+      if (chunk && gap <= 2 * CONTEXT_LINES) {
+        push('normal', gap);
+      } else {
+        if (chunk) {
+          push('normal', CONTEXT_LINES);
+        }
+        const before = Math.min(CONTEXT_LINES, block.modifiedLineNumberStart - 1);
+        oldLine = block.originalLineNumberStart - before;
+        newLine = block.modifiedLineNumberStart - before;
+        chunk = { oldStart: oldLine, newStart: newLine, changes: [] };
+        chunks.push(chunk);
+        push('normal', before);
+      }
+      push('del', block.originalLinesCount);
+      push('add', block.modifiedLinesCount);
+    });
+  if (chunk) {
+    push('normal', CONTEXT_LINES);
+  }
+
+  chunks.forEach((c) => {
+    Object.assign(c, {
+      oldLines: c.changes.filter(change => change.type !== 'add').length,
+      newLines: c.changes.filter(change => change.type !== 'del').length,
+    });
+  });
+  return { from, to, chunks };
+}
+
+class AzureDevOpsAPI {
+  /**
+   * Requires `LINTBOT_AZURE_TOKEN` (personal access token) or `SYSTEM_ACCESSTOKEN` (pipeline token)
+   * to be set
+   * Requires `SYSTEM_COLLECTIONURI`, `SYSTEM_TEAMPROJECT`, `BUILD_REPOSITORY_ID`,
+   * `SYSTEM_PULLREQUEST_PULLREQUESTID` to be set by Azure Pipelines, they can be overridden with
+   * `LINTBOT_AZURE_ORGURL`, `LINTBOT_AZURE_PROJECT`, `LINTBOT_AZURE_REPO`, `LINTBOT_AZURE_PRID`
+   *
+   * `SYSTEM_ACCESSTOKEN` is only available if it is mapped into the environment of the step.
+   *
+   * Every environment variable can be passed as an option instead.
+   *
+   * @param {object} options
+   * @param {string} dryRun Only performs GET requests
+   * @param {string} token personal access token
+   * @param {string} accessToken pipeline token
+   * @param {string} orgUrl
+   * @param {string} project
+   * @param {string} repo
+   * @param {string} prId
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
+   */
+  constructor({
+    dryRun = false,
+    token = process.env.LINTBOT_AZURE_TOKEN,
+    accessToken = process.env.SYSTEM_ACCESSTOKEN,
+    orgUrl = process.env.LINTBOT_AZURE_ORGURL || process.env.SYSTEM_COLLECTIONURI,
+    project = process.env.LINTBOT_AZURE_PROJECT || process.env.SYSTEM_TEAMPROJECT,
+    repo = process.env.LINTBOT_AZURE_REPO || process.env.BUILD_REPOSITORY_ID,
+    prId = process.env.LINTBOT_AZURE_PRID || process.env.SYSTEM_PULLREQUEST_PULLREQUESTID,
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
+    invariant(
+      typeof token === 'string' || typeof accessToken === 'string',
+      'Environment variable LINTBOT_AZURE_TOKEN or SYSTEM_ACCESSTOKEN is not defined',
+    );
+    invariant(
+      typeof orgUrl === 'string',
+      'Environment variable LINTBOT_AZURE_ORGURL or SYSTEM_COLLECTIONURI is not defined',
+    );
+    invariant(
+      typeof project === 'string',
+      'Environment variable LINTBOT_AZURE_PROJECT or SYSTEM_TEAMPROJECT is not defined',
+    );
+    invariant(
+      typeof repo === 'string',
+      'Environment variable LINTBOT_AZURE_REPO or BUILD_REPOSITORY_ID is not defined',
+    );
+    invariant(
+      ['string', 'number'].includes(typeof prId),
+      'Environment variable LINTBOT_AZURE_PRID or SYSTEM_PULLREQUEST_PULLREQUESTID is not defined',
+    );
+
+    // Personal access tokens use basic auth with an empty username, pipeline tokens are bearer
+    // tokens
+    this.authorization = typeof token === 'string'
+      ? `Basic ${Buffer.from(`:${token}`).toString('base64')}`
+      : `Bearer ${accessToken}`;
+    this.orgUrl = orgUrl.replace(/\/$/, '');
+    this.prId = prId;
+    this.baseUrl = `${this.orgUrl}/${encodeURIComponent(
+      project,
+    )}/_apis/git/repositories/${encodeURIComponent(repo)}`;
+
+    this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   * @example
+   * await azureDevOpsAPI.fetchFilePaths();
+   * // => ['client/app.js']
+   */
+  async fetchFilePaths() {
+    {
+      const res = await this.request('GET', `/pullRequests/${this.prId}`);
+      const pr = await res.json();
+      this.prHeadSha = pr.lastMergeSourceCommit.commitId;
+    }
+
+    {
+      const res = await this.request('GET', `/pullRequests/${this.prId}/iterations`);
+      const { value: iterations } = await res.json();
+      const iteration = iterations[iterations.length - 1];
+      this.iterationId = iteration.id;
+      this.baseSha = iteration.commonRefCommit.commitId;
+    }
+
+    const changes = await this.requestPaginated(
+      'GET',
+      `/pullRequests/${this.prId}/iterations/${this.iterationId}/changes`,
+      {
+        itemTransform: change => (
+          !change.changeType.includes('delete') && !change.item.isFolder ? change : null
+        ),
+      },
+    );
+
+    this.changeTrackingIds = {};
+    this.basePaths = {};
+    changes.forEach((change) => {
+      const path = change.item.path.slice(1);
+      this.changeTrackingIds[path] = change.changeTrackingId;
+      if (!change.changeType.includes('add')) {
+        this.basePaths[path] = (change.originalPath || change.item.path).slice(1);
+      }
+    });
+
+    // The lines that changed are compared like the pull request does, against the merge base
+    this.diff = [];
+    const paths = Object.keys(this.changeTrackingIds);
+    for (let i = 0; i < paths.length; i += 100) {
+      const res = await this.request('POST', '/filediffs', {
+        baseVersionCommit: this.baseSha,
+        targetVersionCommit: this.prHeadSha,
+        fileDiffParams: paths.slice(i, i + 100).map(path => ({
+          path: `/${path}`,
+          ...(path in this.basePaths ? { originalPath: `/${this.basePaths[path]}` } : {}),
+        })),
+      });
+      const fileDiffs = await res.json();
+      fileDiffs.forEach((fileDiff) => {
+        const path = fileDiff.path.slice(1);
+        this.diff.push(toParseDiff(
+          path in this.basePaths ? this.basePaths[path] : '/dev/null',
+          path,
+          fileDiff.lineDiffBlocks || [],
+        ));
+      });
+    }
+
+    return paths;
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string>}
+   * @example
+   * await azureDevOpsAPI.fetchFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchFile(path) {
+    const res = await this.request(
+      'GET',
+      `/items?path=${encodeURIComponent(
+        `/${path}`,
+      )}&versionDescriptor.versionType=commit&versionDescriptor.version=${encodeURIComponent(
+        this.prHeadSha,
+      )}&$format=text`,
+    );
+    const file = await res.text();
+    return file;
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string|null>} the file at the merge base, `null` when it was added
+   * @example
+   * await azureDevOpsAPI.fetchBaseFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchBaseFile(path) {
+    if (!(path in this.basePaths)) {
+      return null;
+    }
+    try {
+      const res = await this.request(
+        'GET',
+        `/items?path=${encodeURIComponent(
+          `/${this.basePaths[path]}`,
+        )}&versionDescriptor.versionType=commit&versionDescriptor.version=${encodeURIComponent(
+          this.baseSha,
+        )}&$format=text`,
+      );
+      const file = await res.text();
+      return file;
+    } catch (err) {
+      if (err instanceof FetchError && err.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} suggestion
+   * @param {number} suggestion.line
+   * @param {string} suggestion.message
+   * @returns {Promise}
+   * @example
+   * await vcapi.suggestChange('client/app.js', {
+   *  line: 1,
+   *  message: '```suggestion\nconst file = "new apps.s")\n```',
+   * });
+   */
+  async suggestChange(path, suggestion) {
+    await this.request(
+      'POST',
+      `/pullRequests/${this.prId}/threads`,
+      {
+        comments: [{
+          parentCommentId: 0,
+          content: suggestion.message,
+          commentType: 'text',
+        }],
+        status: 'active',
+        threadContext: {
+          filePath: `/${path}`,
+          rightFileStart: { line: suggestion.line, offset: 1 },
+          rightFileEnd: { line: suggestion.line, offset: 1 },
+        },
+        pullRequestThreadContext: {
+          changeTrackingId: this.changeTrackingIds[path],
+          iterationContext: {
+            firstComparingIteration: 1,
+            secondComparingIteration: this.iterationId,
+          },
+        },
+      },
+    );
+  }
+
+  /**
+   * Threads cannot be deleted, a thread disappears once all of its comments are deleted.
+   *
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [[12, 1], ...]
+   */
+  async fetchSuggestionIds() {
+    {
+      const res = await this.request(
+        'GET',
+        `${this.orgUrl}/_apis/connectionData`,
+        null,
+        CONNECTION_DATA_API_VERSION,
+      );
+      const { authenticatedUser } = await res.json();
+      this.userId = authenticatedUser.id;
+    }
+
+    const res = await this.request('GET', `/pullRequests/${this.prId}/threads`);
+    const { value: threads } = await res.json();
+    return threads
+      .filter(thread => !thread.isDeleted && thread.threadContext)
+      .map(thread => thread.comments
+        .filter(comment => !comment.isDeleted && comment.author.id === this.userId)
+        .map(comment => [thread.id, comment.id]))
+      .reduce((r, a) => r.concat(a), []);
+  }
+
+  /**
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.deleteSuggestion([12, 1]);
+   */
+  async deleteSuggestion(suggestionId) {
+    const [threadId, commentId] = suggestionId;
+    await this.request(
+      'DELETE',
+      `/pullRequests/${this.prId}/threads/${threadId}/comments/${commentId}`,
+    );
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.prHeadSha;
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+
+  async request(method, url, body = null, apiVersion = API_VERSION) {
+    const { signal } = this;
+    delete this.signal;
+
+    const fullUrl = `${(url.startsWith('http') ? '' : this.baseUrl) + url}${
+      url.includes('?') ? '&' : '?'
+    }api-version=${apiVersion}`;
+    this.logger.debug(method, fullUrl);
+
+    let res = { ok: true };
+    if (!this.dryRun || method === 'GET' || READ_ONLY_URLS.includes(url)) {
+      res = await this.fetch(fullUrl, {
+        method,
+        signal,
+        headers: {
+          'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
+          Authorization: this.authorization,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+    }
+
+    if (!res.ok) {
+      throw new FetchError(res);
+    }
+
+    return res;
+  }
+
+  /**
+   * Azure DevOps paginates iteration changes with `$top` and `$skip` query parameters, the
+   * response body contains `nextSkip` which is `0` on the last page.
+   */
+  async requestPaginated(
+    method,
+    url,
+    {
+      itemTransform = x => x,
+      bodyTransform = x => x,
+      top = 100,
+    } = {},
+  ) {
+    const result = [];
+    const separator = url.includes('?') ? '&' : '?';
+    let skip = 0;
+    while (skip !== null) {
+      const res = await this.request(method, `${url}${separator}$top=${top}&$skip=${skip}`);
+      const body = await res.json();
+      invariant(
+        Array.isArray(body.changeEntries),
+        `Response changeEntries is not an array, it is ${typeof body.changeEntries}`,
+      );
+      skip = body.nextSkip > 0 ? body.nextSkip : null;
+      result.push(
+        ...bodyTransform(
+          body.changeEntries
+            .map(itemTransform)
+            .filter(x => x !== null),
+        ),
+      );
+    }
+    return result;
+  }
+}
+
+AzureDevOpsAPI.suggestions = {
+  suggestionSnippet: true,
+  suggestionSnippetMultiLine: false,
+  suggestionOutsideDiff: true,
+};
+
+module.exports = AzureDevOpsAPI;
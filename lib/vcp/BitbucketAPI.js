@@ -0,0 +1,256 @@
+const fetch = require('node-fetch');
+const parseDiff = require('parse-diff');
+const FetchError = require('../errors/FetchError');
+const invariant = require('../helpers/invariant');
+const pkg = require('../../package.json');
+
+class BitbucketAPI {
+  /**
+   * Requires `LINTBOT_BITBUCKET_USERNAME`, `LINTBOT_BITBUCKET_TOKEN` to be set
+   * Requires `LINTBOT_BITBUCKET_REPO`, `LINTBOT_BITBUCKET_PRID` to be set, they default to
+   * `BITBUCKET_REPO_FULL_NAME`, `BITBUCKET_PR_ID` which are set by Bitbucket Pipelines
+   * Optionally takes `LINTBOT_BITBUCKET_BASEURL`
+   *
+   * Every environment variable can be passed as an option instead.
+   *
+   * @param {object} options
+   * @param {string} dryRun Only performs GET requests
+   * @param {string} username
+   * @param {string} token
+   * @param {string} repo `workspace/name`
+   * @param {string} prId
+   * @param {string} baseUrl
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
+   */
+  constructor({
+    dryRun = false,
+    username = process.env.LINTBOT_BITBUCKET_USERNAME,
+    token = process.env.LINTBOT_BITBUCKET_TOKEN,
+    repo = process.env.LINTBOT_BITBUCKET_REPO || process.env.BITBUCKET_REPO_FULL_NAME,
+    prId = process.env.LINTBOT_BITBUCKET_PRID || process.env.BITBUCKET_PR_ID,
+    baseUrl = process.env.LINTBOT_BITBUCKET_BASEURL || 'https://api.bitbucket.org',
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
+    invariant(
+      typeof username === 'string',
+      'Environment variable LINTBOT_BITBUCKET_USERNAME is not defined',
+    );
+    invariant(
+      typeof token === 'string',
+      'Environment variable LINTBOT_BITBUCKET_TOKEN is not defined',
+    );
+    invariant(
+      typeof repo === 'string',
+      'Environment variable LINTBOT_BITBUCKET_REPO is not defined',
+    );
+    invariant(
+      ['string', 'number'].includes(typeof prId),
+      'Environment variable LINTBOT_BITBUCKET_PRID is not defined',
+    );
+
+    this.username = username;
+    this.repo = repo;
+    this.prId = prId;
+    this.credentials = Buffer.from(`${username}:${token}`).toString('base64');
+    this.baseUrl = `${baseUrl}/2.0`;
+
+    this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   * @example
+   * await bitbucketAPI.fetchFilePaths();
+   * // => ['client/app.js']
+   */
+  async fetchFilePaths() {
+    {
+      const res = await this.request('GET', `/repositories/${this.repo}/pullrequests/${this.prId}`);
+      const pr = await res.json();
+      this.prHeadSha = pr.source.commit.hash;
+    }
+
+    {
+      const res = await this.request('GET', `/repositories/${this.repo}/pullrequests/${this.prId}/diff`);
+      const diffRaw = await res.text();
+      this.diff = parseDiff(diffRaw);
+    }
+
+    const filePaths = await this.requestPaginated(
+      'GET',
+      `/repositories/${this.repo}/pullrequests/${this.prId}/diffstat`,
+      {
+        itemTransform: file => (file.status !== 'removed' ? file.new.path : null),
+      },
+    );
+    return filePaths;
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string>}
+   * @example
+   * await bitbucketAPI.fetchFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchFile(path) {
+    const res = await this.request(
+      'GET',
+      `/repositories/${this.repo}/src/${this.prHeadSha}/${path.split('/').map(encodeURIComponent).join('/')}`,
+    );
+    const file = await res.text();
+    return file;
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} suggestion
+   * @param {number} suggestion.line
+   * @param {string} suggestion.message
+   * @returns {Promise}
+   * @example
+   * await vcapi.suggestChange('client/app.js', {
+   *  line: 1,
+   *  message: '**Lint Error** Missing semicolon.',
+   * });
+   */
+  async suggestChange(path, suggestion) {
+    await this.request(
+      'POST',
+      `/repositories/${this.repo}/pullrequests/${this.prId}/comments`,
+      {
+        content: {
+          raw: suggestion.message,
+        },
+        inline: {
+          path,
+          to: suggestion.line,
+        },
+      },
+    );
+  }
+
+  /**
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [549, ...]
+   */
+  async fetchSuggestionIds() {
+    const res = await this.request('GET', '/user');
+    const { account_id: accountId } = await res.json();
+
+    const comments = await this.requestPaginated(
+      'GET',
+      `/repositories/${this.repo}/pullrequests/${this.prId}/comments`,
+    );
+    return comments
+      .filter(comment => !comment.deleted
+        && comment.inline
+        && comment.user.account_id === accountId)
+      .map(comment => comment.id);
+  }
+
+  /**
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.deleteSuggestion(549);
+   */
+  async deleteSuggestion(suggestionId) {
+    await this.request(
+      'DELETE',
+      `/repositories/${this.repo}/pullrequests/${this.prId}/comments/${suggestionId}`,
+    );
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.prHeadSha;
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+
+  async request(method, url, body = null) {
+    const { signal } = this;
+    delete this.signal;
+
+    const fullUrl = (url.startsWith('http') ? '' : this.baseUrl) + url;
+    this.logger.debug(method, fullUrl);
+
+    let res = { ok: true };
+    if (!this.dryRun || method === 'GET') {
+      res = await this.fetch(fullUrl, {
+        method,
+        signal,
+        headers: {
+          'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
+          Authorization: `Basic ${this.credentials}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+    }
+
+    if (!res.ok) {
+      throw new FetchError(res);
+    }
+
+    return res;
+  }
+
+  async requestPaginated(
+    method,
+    url,
+    {
+      itemTransform = x => x,
+      bodyTransform = x => x,
+    } = {},
+  ) {
+    const result = [];
+    let nextUrl = url;
+    while (nextUrl) {
+      const res = await this.request(method, nextUrl);
+      const body = await res.json();
+      invariant(
+        Array.isArray(body.values),
+        `Response values is not an array, it is ${typeof body.values}`,
+      );
+      nextUrl = body.next;
+      result.push(
+        ...bodyTransform(
+          body.values
+            .map(itemTransform)
+            .filter(x => x !== null),
+        ),
+      );
+    }
+    return result;
+  }
+}
+
+BitbucketAPI.suggestions = {
+  suggestionSnippet: false,
+  suggestionSnippetMultiLine: false,
+  codeSnippet: true,
+};
+
+module.exports = BitbucketAPI;
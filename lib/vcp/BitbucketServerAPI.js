@@ -0,0 +1,291 @@
+const fetch = require('node-fetch');
+const FetchError = require('../errors/FetchError');
+const invariant = require('../helpers/invariant');
+const diffScope = require('../helpers/diffScope');
+const pkg = require('../../package.json');
+
+class BitbucketServerAPI {
+  /**
+   * Requires `LINTBOT_BITBUCKET_SERVER_BASEURL`, `LINTBOT_BITBUCKET_SERVER_USERNAME`,
+   * `LINTBOT_BITBUCKET_SERVER_TOKEN`, `LINTBOT_BITBUCKET_SERVER_PROJECT`,
+   * `LINTBOT_BITBUCKET_SERVER_REPO`, `LINTBOT_BITBUCKET_SERVER_PRID` to be set
+   *
+   * Every environment variable can be passed as an option instead.
+   *
+   * @param {object} options
+   * @param {string} dryRun Only performs GET requests
+   * @param {string} baseUrl
+   * @param {string} username
+   * @param {string} token
+   * @param {string} project
+   * @param {string} repo
+   * @param {string} prId
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
+   */
+  constructor({
+    dryRun = false,
+    baseUrl = process.env.LINTBOT_BITBUCKET_SERVER_BASEURL,
+    username = process.env.LINTBOT_BITBUCKET_SERVER_USERNAME,
+    token = process.env.LINTBOT_BITBUCKET_SERVER_TOKEN,
+    project = process.env.LINTBOT_BITBUCKET_SERVER_PROJECT,
+    repo = process.env.LINTBOT_BITBUCKET_SERVER_REPO,
+    prId = process.env.LINTBOT_BITBUCKET_SERVER_PRID,
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
+    invariant(
+      typeof baseUrl === 'string',
+      'Environment variable LINTBOT_BITBUCKET_SERVER_BASEURL is not defined',
+    );
+    invariant(
+      typeof username === 'string',
+      'Environment variable LINTBOT_BITBUCKET_SERVER_USERNAME is not defined',
+    );
+    invariant(
+      typeof token === 'string',
+      'Environment variable LINTBOT_BITBUCKET_SERVER_TOKEN is not defined',
+    );
+    invariant(
+      typeof project === 'string',
+      'Environment variable LINTBOT_BITBUCKET_SERVER_PROJECT is not defined',
+    );
+    invariant(
+      typeof repo === 'string',
+      'Environment variable LINTBOT_BITBUCKET_SERVER_REPO is not defined',
+    );
+    invariant(
+      ['string', 'number'].includes(typeof prId),
+      'Environment variable LINTBOT_BITBUCKET_SERVER_PRID is not defined',
+    );
+
+    this.username = username;
+    this.token = token;
+    this.prId = prId;
+    this.baseUrl = `${baseUrl}/rest/api/1.0/projects/${encodeURIComponent(
+      project,
+    )}/repos/${encodeURIComponent(repo)}`;
+
+    this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   * @example
+   * await bitbucketServerAPI.fetchFilePaths();
+   * // => ['client/app.js']
+   */
+  async fetchFilePaths() {
+    {
+      const res = await this.request('GET', `/pull-requests/${this.prId}`);
+      const pr = await res.json();
+      this.prHeadSha = pr.fromRef.latestCommit;
+    }
+
+    const res = await this.request('GET', `/pull-requests/${this.prId}/diff?withComments=false`);
+    const { diffs } = await res.json();
+
+    // Converts the diff to the format of `parse-diff`
+    const changeTypes = { ADDED: 'add', REMOVED: 'del', CONTEXT: 'normal' };
+    this.diff = diffs
+      .filter(diff => diff.destination)
+      .map(diff => ({
+        from: diff.source ? diff.source.toString : '/dev/null',
+        to: diff.destination.toString,
+        chunks: (diff.hunks || []).map(hunk => ({
+          oldStart: hunk.sourceLine,
+          oldLines: hunk.sourceSpan,
+          newStart: hunk.destinationLine,
+          newLines: hunk.destinationSpan,
+          changes: hunk.segments
+            .map(segment => segment.lines.map(line => ({
+              type: changeTypes[segment.type],
+              ...(segment.type === 'CONTEXT'
+                ? { ln1: line.source, ln2: line.destination }
+                : { ln: segment.type === 'ADDED' ? line.destination : line.source }),
+            })))
+            .reduce((r, a) => r.concat(a), []),
+        })),
+      }));
+
+    return this.diff.map(file => file.to);
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string>}
+   * @example
+   * await bitbucketServerAPI.fetchFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchFile(path) {
+    const res = await this.request(
+      'GET',
+      `/raw/${path.split('/').map(encodeURIComponent).join('/')}?at=${encodeURIComponent(this.prHeadSha)}`,
+    );
+    const file = await res.text();
+    return file;
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} suggestion
+   * @param {number} suggestion.line
+   * @param {string} suggestion.message
+   * @returns {Promise}
+   * @example
+   * await vcapi.suggestChange('client/app.js', {
+   *  line: 1,
+   *  message: '**Lint Error** Missing semicolon.',
+   * });
+   */
+  async suggestChange(path, suggestion) {
+    const file = this.getDiff(path);
+    invariant(
+      file,
+      'Could not find file in diff in order to suggest a change.',
+    );
+    await this.request(
+      'POST',
+      `/pull-requests/${this.prId}/comments`,
+      {
+        text: suggestion.message,
+        anchor: {
+          path,
+          line: suggestion.line,
+          lineType: diffScope.lineType(file, suggestion.line) === 'add' ? 'ADDED' : 'CONTEXT',
+          fileType: 'TO',
+          diffType: 'EFFECTIVE',
+        },
+      },
+    );
+  }
+
+  /**
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [[549, 0], ...]
+   */
+  async fetchSuggestionIds() {
+    const activities = await this.requestPaginated(
+      'GET',
+      `/pull-requests/${this.prId}/activities`,
+      {
+        itemTransform: a => (a.action === 'COMMENTED' ? a : null),
+      },
+    );
+    const deletedCommentIds = activities
+      .filter(a => a.commentAction === 'DELETED')
+      .map(a => a.comment.id);
+    return activities
+      .filter(a => a.commentAction === 'ADDED'
+        && a.commentAnchor
+        && a.comment.author.name === this.username
+        && !deletedCommentIds.includes(a.comment.id))
+      .map(a => [a.comment.id, a.comment.version]);
+  }
+
+  /**
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.deleteSuggestion([549, 0]);
+   */
+  async deleteSuggestion(suggestionId) {
+    const [commentId, version] = suggestionId;
+    await this.request(
+      'DELETE',
+      `/pull-requests/${this.prId}/comments/${commentId}?version=${version}`,
+    );
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.prHeadSha;
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+
+  async request(method, url, body = null) {
+    const { signal } = this;
+    delete this.signal;
+
+    const fullUrl = (url.startsWith('http') ? '' : this.baseUrl) + url;
+    this.logger.debug(method, fullUrl);
+
+    let res = { ok: true };
+    if (!this.dryRun || method === 'GET') {
+      res = await this.fetch(fullUrl, {
+        method,
+        signal,
+        headers: {
+          'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
+          Authorization: `Bearer ${this.token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+    }
+
+    if (!res.ok) {
+      throw new FetchError(res);
+    }
+
+    return res;
+  }
+
+  async requestPaginated(
+    method,
+    url,
+    {
+      itemTransform = x => x,
+      bodyTransform = x => x,
+    } = {},
+  ) {
+    const result = [];
+    let start = 0;
+    while (start !== null) {
+      const separator = url.includes('?') ? '&' : '?';
+      const res = await this.request(method, `${url}${separator}start=${start}`);
+      const body = await res.json();
+      invariant(
+        Array.isArray(body.values),
+        `Response values is not an array, it is ${typeof body.values}`,
+      );
+      start = body.isLastPage ? null : body.nextPageStart;
+      result.push(
+        ...bodyTransform(
+          body.values
+            .map(itemTransform)
+            .filter(x => x !== null),
+        ),
+      );
+    }
+    return result;
+  }
+}
+
+BitbucketServerAPI.suggestions = {
+  suggestionSnippet: false,
+  suggestionSnippetMultiLine: false,
+  codeSnippet: true,
+};
+
+module.exports = BitbucketServerAPI;
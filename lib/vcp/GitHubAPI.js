@@ -1,41 +1,105 @@
+const fs = require('fs');
 const fetch = require('node-fetch');
 const parseDiff = require('parse-diff');
 const FetchError = require('../errors/FetchError');
 const invariant = require('../helpers/invariant');
+const jwt = require('../helpers/jwt');
+const diffScope = require('../helpers/diffScope');
+const fingerprint = require('../helpers/fingerprint');
 const pkg = require('../../package.json');
 
 class GitHubAPI {
   /**
-   * Requires `LINTBOT_GITHUB_USERNAME`, `LINTBOT_GITHUB_TOKEN`, `LINTBOT_GITHUB_REPO`,
-   * `LINTBOT_GITHUB_PRID` to be set
-   * Optionally takes `LINTBOT_GITHUB_BASEURL`
+   * Requires `LINTBOT_GITHUB_REPO`, `LINTBOT_GITHUB_PRID` to be set and one of
+   * - `LINTBOT_GITHUB_APP_ID` and `LINTBOT_GITHUB_APP_PRIVATE_KEY` to authenticate as a GitHub App,
+   * optionally `LINTBOT_GITHUB_APP_INSTALLATION_ID`
+   * - `LINTBOT_GITHUB_TOKEN` or `GITHUB_TOKEN`, sent as a token, or as basic auth with
+   * `LINTBOT_GITHUB_USERNAME`
+   * Optionally takes `LINTBOT_GITHUB_BASEURL`, `LINTBOT_GITHUB_MODE`
+   *
+   * Every environment variable can be passed as an option instead.
    *
    * @param {object} options
    * @param {string} dryRun Only performs GET requests
+   * @param {string} mode `review` comments on the pull request, `checks` creates a check run with
+   * annotations instead, defaults to `LINTBOT_GITHUB_MODE` or `review`
+   * @param {string} username
+   * @param {string} token
+   * @param {string} appId
+   * @param {string} privateKey PEM encoded key or the path of a PEM file
+   * @param {string} installationId
+   * @param {string} repo `owner/name`
+   * @param {string} prId
+   * @param {string} baseUrl
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
    */
-  constructor({ dryRun = false } = {}) {
-    invariant(
-      typeof process.env.LINTBOT_GITHUB_USERNAME === 'string',
-      'Environment variable LINTBOT_GITHUB_USERNAME is not defined',
-    );
-    invariant(
-      typeof process.env.LINTBOT_GITHUB_TOKEN === 'string',
-      'Environment variable LINTBOT_GITHUB_TOKEN is not defined',
-    );
+  constructor({
+    dryRun = false,
+    mode = process.env.LINTBOT_GITHUB_MODE || 'review',
+    username = process.env.LINTBOT_GITHUB_USERNAME,
+    // GitHub Actions provides `GITHUB_TOKEN` to every workflow
+    token = process.env.LINTBOT_GITHUB_TOKEN || process.env.GITHUB_TOKEN,
+    appId = process.env.LINTBOT_GITHUB_APP_ID,
+    privateKey = process.env.LINTBOT_GITHUB_APP_PRIVATE_KEY,
+    installationId = process.env.LINTBOT_GITHUB_APP_INSTALLATION_ID,
+    repo = process.env.LINTBOT_GITHUB_REPO,
+    prId = process.env.LINTBOT_GITHUB_PRID,
+    baseUrl = process.env.LINTBOT_GITHUB_BASEURL || 'https://api.github.com',
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
+    if (appId) {
+      invariant(
+        typeof privateKey === 'string',
+        'Environment variable LINTBOT_GITHUB_APP_PRIVATE_KEY is not defined',
+      );
+    } else {
+      invariant(
+        typeof token === 'string',
+        'Environment variable LINTBOT_GITHUB_TOKEN is not defined, set it or LINTBOT_GITHUB_APP_ID',
+      );
+    }
     invariant(
-      typeof process.env.LINTBOT_GITHUB_REPO === 'string',
+      typeof repo === 'string',
       'Environment variable LINTBOT_GITHUB_REPO is not defined',
     );
 
-    this.username = process.env.LINTBOT_GITHUB_USERNAME;
-    const password = process.env.LINTBOT_GITHUB_TOKEN;
-    this.repo = process.env.LINTBOT_GITHUB_REPO;
-    this.prId = process.env.LINTBOT_GITHUB_PRID;
-    this.credentials = Buffer.from(`${this.username}:${password}`).toString('base64');
-    this.apiBaseUrl = process.env.LINTBOT_GITHUB_BASEURL || 'https://api.github.com';
+    this.repo = repo;
+    this.prId = prId;
+    if (appId) {
+      this.app = {
+        id: appId,
+        privateKey: GitHubAPI.readPrivateKey(privateKey),
+        installationId,
+      };
+      this.installationToken = null;
+    } else if (username) {
+      this.username = username;
+      this.authorization = `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`;
+    } else {
+      this.authorization = `token ${token}`;
+    }
+    this.apiBaseUrl = baseUrl;
     this.baseUrl = this.apiBaseUrl.replace(/api\./, '');
 
+    invariant(
+      GitHubAPI.MODES.includes(mode),
+      `Unsupported mode "${mode}", expected one of ${GitHubAPI.MODES.join(', ')}`,
+    );
+    this.mode = mode;
+    if (mode === 'checks') {
+      // Annotations are plain text and can be on any line of the file
+      this.suggestions = {
+        suggestionSnippet: false,
+        suggestionSnippetMultiLine: false,
+        suggestionOutsideDiff: true,
+      };
+    }
+
     this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
   }
 
   /**
@@ -49,6 +113,7 @@ class GitHubAPI {
       const res = await this.request('GET', `/repos/${this.repo}/pulls/${this.prId}`);
       const pr = await res.json();
       this.prHeadSha = pr.head.sha;
+      this.prBaseSha = pr.base.sha;
     }
 
     {
@@ -81,16 +146,83 @@ class GitHubAPI {
     return file;
   }
 
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string|null>} the file at the base commit, `null` when it was added
+   * @example
+   * await GitHubAPI.fetchBaseFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchBaseFile(path) {
+    // Jobs run in parallel, another job may attach its signal while the merge base is fetched
+    const { signal } = this;
+    delete this.signal;
+
+    const { from } = this.getDiff(path) || { from: path };
+    if (from === '/dev/null') {
+      return null;
+    }
+    const mergeBaseSha = await this.fetchMergeBaseSha(signal);
+    try {
+      this.attachSignal(signal);
+      const res = await this.request('GET', `${this.baseUrl}/${this.repo}/raw/${mergeBaseSha}/${from}`);
+      const file = await res.text();
+      return file;
+    } catch (err) {
+      if (err instanceof FetchError && err.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * The diff of the pull request is against the merge base, the base branch may have moved since.
+   *
+   * @param {AbortSignal} signal of the job that fetches it first
+   * @returns {Promise<string>}
+   */
+  fetchMergeBaseSha(signal) {
+    if (!this.mergeBaseShaPromise) {
+      this.attachSignal(signal);
+      this.mergeBaseShaPromise = (async () => {
+        const res = await this.request('GET', `/repos/${this.repo}/compare/${this.prBaseSha}...${this.prHeadSha}`);
+        const comparison = await res.json();
+        return comparison.merge_base_commit.sha;
+      })().catch((err) => {
+        this.mergeBaseShaPromise = null;
+        throw err;
+      });
+    }
+    return this.mergeBaseShaPromise;
+  }
+
   async beforeSuggestionsStart() {
     this.comments = [];
+
+    if (this.mode === 'checks') {
+      const res = await this.request(
+        'POST',
+        `/repos/${this.repo}/check-runs`,
+        {
+          name: GitHubAPI.CHECK_RUN_NAME,
+          head_sha: this.prHeadSha,
+          status: 'in_progress',
+          started_at: new Date().toISOString(),
+        },
+      );
+      this.checkRunId = this.dryRun ? null : (await res.json()).id;
+    }
   }
 
   /**
    * @param {string} path
    * @param {object} suggestion
    * @param {number} suggestion.line
+   * @param {object} suggestion.range lines the suggestion replaces, the comment spans them
    * @param {string} suggestion.message
-   * @returns {Promise}
+   * @returns {Promise<boolean>} `false` when the lines are not in a hunk, GitHub rejects the
+   * comment
    * @example
    * await vcapi.suggestChange('client/app.js', {
    *  line: 1,
@@ -98,61 +230,239 @@ class GitHubAPI {
    * });
    */
   async suggestChange(path, suggestion) {
+    if (this.mode === 'checks') {
+      this.comments.push({
+        path,
+        start_line: suggestion.line,
+        end_line: suggestion.line,
+        annotation_level: suggestion.severity === 2 ? 'failure' : 'warning',
+        title: suggestion.ruleId || GitHubAPI.CHECK_RUN_NAME,
+        message: suggestion.text,
+        ...(suggestion.fixedSource ? { raw_details: suggestion.fixedSource } : {}),
+      });
+      return true;
+    }
+
     const file = this.diff.find(f => f.to === path);
     invariant(
       file,
       'Could not find file in hunk in order to suggest a change.',
     );
-    const position = file.chunks.reduce((result, chunk, i) => {
-      if (result !== null) {
-        return result;
-      }
-      const j = chunk.changes
-        .findIndex(change => change.type !== 'del' && (change.ln2 || change.ln) === suggestion.line);
-      return j >= 0
-        ? file.chunks
-          .slice(0, i)
-          .map(c => c.changes.length + 1)
-          .reduce((n, x) => n + x, 0) + j + 1
-        : null;
-    }, null);
-    // Position is null if file line cannot be mapped to hunk position
-    if (position !== null) {
-      this.comments.push({
-        position,
-        path,
-        body: suggestion.message,
-      });
+    const { start, end } = suggestion.range || { start: suggestion.line, end: suggestion.line };
+    // GitHub rejects comments on lines that are not in a hunk
+    if (!diffScope(file, start, 'hunks') || !diffScope(file, end, 'hunks')) {
+      return false;
     }
+    this.comments.push({
+      path,
+      body: suggestion.message,
+      line: end,
+      side: 'RIGHT',
+      // Multi-line comments span the lines that the suggestion replaces
+      ...(start !== end ? { start_line: start, start_side: 'RIGHT' } : {}),
+    });
+    return true;
   }
 
   async afterSuggestionsEnd() {
+    if (this.mode === 'checks') {
+      await this.completeCheckRun();
+      return;
+    }
+
+    // GitHub rejects reviews without a body or comments
+    if (this.comments.length > 0) {
+      await this.request(
+        'POST',
+        `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+        {
+          commit_id: this.prHeadSha,
+          body: '',
+          event: 'COMMENT',
+          comments: this.comments,
+        },
+      );
+      // A retry of the job only submits the verdict
+      this.comments = [];
+    }
+
+    if (this.verdict) {
+      await this.submitVerdict();
+    }
+  }
+
+  /**
+   * Completes the check run that `beforeSuggestionsStart` created, it would stay in progress
+   * otherwise. The error is left out of the check run, it may contain details of the CI.
+   */
+  async afterSuggestionsError() {
+    if (this.mode !== 'checks' || !this.checkRunId) {
+      return;
+    }
     await this.request(
-      'POST',
-      `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+      'PATCH',
+      `/repos/${this.repo}/check-runs/${this.checkRunId}`,
       {
-        commit_id: this.prHeadSha,
-        body: '',
-        event: 'COMMENT',
-        comments: this.comments,
+        status: 'completed',
+        conclusion: 'failure',
+        completed_at: new Date().toISOString(),
+        output: {
+          title: `${GitHubAPI.CHECK_RUN_NAME} failed`,
+          summary: `\`${GitHubAPI.CHECK_RUN_NAME}\` stopped with an error, see the logs of the CI job.`,
+        },
       },
     );
   }
 
   /**
-   * @returns {Promise<SuggestionId[]>}
+   * Approves or requests changes in a review of its own, so that the comments are posted even
+   * when GitHub refuses the verdict. It refuses to approve with the `GITHUB_TOKEN` of GitHub
+   * Actions or with the token of the author of the pull request, the verdict is then submitted as
+   * a comment.
+   *
+   * Nothing is submitted when the last verdict of `lintbot` on the pull request is the same.
+   */
+  async submitVerdict() {
+    const { passed, message } = this.verdict;
+    const verdictFingerprint = passed ? 'verdict-passed' : 'verdict-failed';
+
+    const reviews = await this.requestPaginated(
+      'GET',
+      `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+    );
+    const login = await this.fetchLogin();
+    const verdictReviews = reviews.filter(review => review.user.login === login
+      && /^verdict-/.test(fingerprint.extract(review.body) || ''));
+    const lastVerdictReview = verdictReviews[verdictReviews.length - 1];
+    if (lastVerdictReview && lastVerdictReview.state !== 'DISMISSED'
+      && fingerprint.extract(lastVerdictReview.body) === verdictFingerprint) {
+      this.logger.debug(`Review ${lastVerdictReview.id} already has the verdict`);
+      return;
+    }
+
+    const event = passed ? 'APPROVE' : 'REQUEST_CHANGES';
+    const body = fingerprint.embed(message, verdictFingerprint);
+    try {
+      await this.request(
+        'POST',
+        `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+        { commit_id: this.prHeadSha, body, event },
+      );
+    } catch (err) {
+      if (!(err instanceof FetchError) || ![403, 422].includes(err.status)) {
+        throw err;
+      }
+      this.logger.warn(`GitHub refused to ${event === 'APPROVE' ? 'approve' : 'request changes'} (${err.status}), the verdict is submitted as a comment`);
+      await this.request(
+        'POST',
+        `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+        { commit_id: this.prHeadSha, body, event: 'COMMENT' },
+      );
+    }
+  }
+
+  /**
+   * A review approves or requests changes after the comments, in checks mode the verdict
+   * concludes the check run.
+   *
+   * @param {object} verdict
+   * @param {boolean} verdict.passed
+   * @param {string} verdict.message
+   */
+  async setVerdict(verdict) {
+    this.verdict = verdict;
+  }
+
+  /**
+   * Uploads the annotations in batches, GitHub accepts at most 50 annotations per request, then
+   * concludes the check run from the number of errors and warnings.
+   */
+  async completeCheckRun() {
+    const errorCount = this.comments.filter(a => a.annotation_level === 'failure').length;
+    const warningCount = this.comments.length - errorCount;
+    this.checkRunTitle = `${errorCount} errors, ${warningCount} warnings`;
+
+    let conclusion = 'success';
+    if (this.verdict) {
+      conclusion = this.verdict.passed ? 'success' : 'failure';
+    } else if (errorCount > 0) {
+      conclusion = 'failure';
+    } else if (warningCount > 0) {
+      conclusion = 'neutral';
+    }
+
+    const batches = [];
+    for (let i = 0; i < this.comments.length; i += GitHubAPI.ANNOTATIONS_PER_REQUEST) {
+      batches.push(this.comments.slice(i, i + GitHubAPI.ANNOTATIONS_PER_REQUEST));
+    }
+    if (batches.length === 0) {
+      batches.push([]);
+    }
+
+    for (let i = 0; i < batches.length; i += 1) {
+      const isLastBatch = i === batches.length - 1;
+      await this.request(
+        'PATCH',
+        `/repos/${this.repo}/check-runs/${this.checkRunId}`,
+        {
+          output: {
+            title: this.checkRunTitle,
+            summary: this.checkRunTitle,
+            annotations: batches[i],
+          },
+          ...(isLastBatch ? {
+            status: 'completed',
+            conclusion,
+            completed_at: new Date().toISOString(),
+          } : {}),
+        },
+      );
+    }
+  }
+
+  /**
+   * Comments that `resolveSuggestion` edited are left out.
+   *
+   * @returns {Promise<Suggestion[]>}
    * @example
-   * await vcapi.fetchSuggestionIds();
-   * // [549, ...]
+   * await vcapi.fetchSuggestions();
+   * // [{ id: 549, body: ':warning: **Lint Warning** ...', hasReplies: false }, ...]
    */
-  async fetchSuggestionIds() {
+  async fetchSuggestions() {
+    // Check runs are created for every commit, there is nothing to clean up
+    if (this.mode === 'checks') {
+      return [];
+    }
+
     const reviews = await this.requestPaginated(
       'GET',
       `/repos/${this.repo}/pulls/${this.prId}/comments`,
     );
+    const login = await this.fetchLogin();
+    this.suggestionBodies = new Map();
     return reviews
-      .filter(review => review.user.login === this.username)
-      .map(review => review.id);
+      .filter(review => review.user.login === login
+        && fingerprint.extract(review.body) !== GitHubAPI.RESOLVED)
+      .map((review) => {
+        // `resolveSuggestion` keeps the text of the comment
+        this.suggestionBodies.set(review.id, review.body);
+        return {
+          id: review.id,
+          body: review.body,
+          hasReplies: reviews.some(reply => reply.in_reply_to_id === review.id),
+        };
+      });
+  }
+
+  /**
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [549, ...]
+   */
+  async fetchSuggestionIds() {
+    const suggestions = await this.fetchSuggestions();
+    return suggestions.map(suggestion => suggestion.id);
   }
 
   /**
@@ -167,6 +477,89 @@ class GitHubAPI {
     );
   }
 
+  /**
+   * GitHub cannot resolve a conversation through its REST API, the comment is edited instead so
+   * that its replies are kept. Its suggestion can no longer be applied and it is left alone by the
+   * next runs.
+   *
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.resolveSuggestion(549);
+   */
+  async resolveSuggestion(suggestionId) {
+    const body = fingerprint.remove(this.suggestionBodies.get(suggestionId) || '')
+      .replace(/^```suggestion$/gm, '```');
+    await this.request(
+      'PATCH',
+      `/repos/${this.repo}/pulls/comments/${suggestionId}`,
+      {
+        body: fingerprint.embed(
+          `:white_check_mark: **Fixed**\n\n<details>\n<summary>Lint message</summary>\n\n${body}\n\n</details>`,
+          GitHubAPI.RESOLVED,
+        ),
+      },
+    );
+  }
+
+  /**
+   * Edits the pull request comment that has the summary, it is created on the first run.
+   *
+   * @param {string} body
+   * @example
+   * await vcapi.updateSummary('### Lint summary ...');
+   */
+  async updateSummary(body) {
+    if (this.mode === 'checks') {
+      await this.request(
+        'PATCH',
+        `/repos/${this.repo}/check-runs/${this.checkRunId}`,
+        {
+          output: {
+            title: this.checkRunTitle,
+            summary: body,
+          },
+        },
+      );
+      return;
+    }
+
+    const comments = await this.requestPaginated(
+      'GET',
+      `/repos/${this.repo}/issues/${this.prId}/comments`,
+    );
+    const login = await this.fetchLogin();
+    const summary = comments.find(comment => comment.user.login === login
+      && fingerprint.extract(comment.body) === 'summary');
+    if (summary) {
+      await this.request(
+        'PATCH',
+        `/repos/${this.repo}/issues/comments/${summary.id}`,
+        { body },
+      );
+    } else {
+      await this.request(
+        'POST',
+        `/repos/${this.repo}/issues/${this.prId}/comments`,
+        { body },
+      );
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.prHeadSha;
+  }
+
   /**
    * @param {AbortSignal} signal
    */
@@ -174,21 +567,147 @@ class GitHubAPI {
     this.signal = signal;
   }
 
+  /**
+   * The login that authors the comments of `lintbot`, the bot user of the GitHub App, the user of
+   * the token or `github-actions[bot]` for the `GITHUB_TOKEN` of GitHub Actions.
+   *
+   * @returns {Promise<string>}
+   * @example
+   * await vcapi.fetchLogin();
+   * // => 'lintbot[bot]'
+   */
+  fetchLogin() {
+    if (!this.loginPromise) {
+      this.loginPromise = (async () => {
+        if (this.username) {
+          return this.username;
+        }
+        if (this.app) {
+          const res = await this.requestAsApp('GET', '/app');
+          const app = await res.json();
+          return `${app.slug}[bot]`;
+        }
+        try {
+          const res = await this.request('GET', '/user');
+          const user = await res.json();
+          return user.login;
+        } catch (err) {
+          // Installation tokens cannot read the user, the only one CI hands out is GitHub Actions'
+          if (err instanceof FetchError && err.status === 403) {
+            return GitHubAPI.ACTIONS_LOGIN;
+          }
+          throw err;
+        }
+      })().catch((err) => {
+        // The job that needs the login is retried
+        this.loginPromise = null;
+        throw err;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * GitHub Apps act on the repository with an installation token, it is refreshed shortly before
+   * it expires.
+   *
+   * @returns {Promise<string>} value of the `Authorization` header
+   */
+  async fetchAuthorization() {
+    if (!this.app) {
+      return this.authorization;
+    }
+
+    const expiresIn = this.installationToken
+      ? this.installationToken.expiresAt - Date.now()
+      : 0;
+    if (expiresIn < GitHubAPI.TOKEN_REFRESH_MS) {
+      // Requests that run in parallel share the same refresh
+      if (!this.installationTokenPromise) {
+        this.installationTokenPromise = this.createInstallationToken();
+      }
+      try {
+        this.installationToken = await this.installationTokenPromise;
+      } finally {
+        this.installationTokenPromise = null;
+      }
+    }
+    return `token ${this.installationToken.token}`;
+  }
+
+  /**
+   * @returns {Promise<object>} token and the time it expires at in milliseconds
+   */
+  async createInstallationToken() {
+    let { installationId } = this.app;
+    if (!installationId) {
+      const res = await this.requestAsApp('GET', `/repos/${this.repo}/installation`);
+      ({ id: installationId } = await res.json());
+      this.app.installationId = installationId;
+    }
+
+    const res = await this.requestAsApp(
+      'POST',
+      `/app/installations/${installationId}/access_tokens`,
+    );
+    const { token, expires_at: expiresAt } = await res.json();
+    this.logger.debug(`Installation token of app ${this.app.id} expires at ${expiresAt}`);
+    return { token, expiresAt: Date.parse(expiresAt) };
+  }
+
+  /**
+   * Requests as the GitHub App itself, authenticated by a JWT signed with its private key. Dry runs
+   * perform them too, they only create tokens.
+   *
+   * @param {string} method
+   * @param {string} url
+   * @returns {Promise<Response>}
+   */
+  async requestAsApp(method, url) {
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt({
+      // Allows for clock drift
+      iat: now - 60,
+      exp: now + GitHubAPI.JWT_EXPIRY_S,
+      iss: /^\d+$/.test(this.app.id) ? Number(this.app.id) : this.app.id,
+    }, this.app.privateKey);
+
+    const fullUrl = this.apiBaseUrl + url;
+    this.logger.debug(method, fullUrl);
+
+    const res = await this.fetch(fullUrl, {
+      method,
+      headers: {
+        'User-Agent': GitHubAPI.USER_AGENT,
+        Accept: 'application/vnd.github.v3+json',
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    if (!res.ok) {
+      throw new FetchError(res);
+    }
+
+    return res;
+  }
+
   async request(method, url, body = null, headers = {}) {
     const { signal } = this;
     delete this.signal;
 
+    const authorization = await this.fetchAuthorization();
+
     const fullUrl = (url.startsWith('http') ? '' : this.apiBaseUrl) + url;
-    Logger.debug(method, fullUrl);
+    this.logger.debug(method, fullUrl);
 
     let res = { ok: true };
     if (!this.dryRun || method === 'GET') {
-      res = await fetch(fullUrl, {
+      res = await this.fetch(fullUrl, {
         method,
         signal,
         headers: {
-          'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
-          Authorization: `Basic ${this.credentials}`,
+          'User-Agent': GitHubAPI.USER_AGENT,
+          Authorization: authorization,
           ...(body ? { 'Content-Type': 'application/json' } : {}),
           ...headers,
         },
@@ -240,7 +759,32 @@ class GitHubAPI {
 
 GitHubAPI.suggestions = {
   suggestionSnippet: true,
-  suggestionSnippetMultiLine: false,
+  suggestionSnippetMultiLine: true,
+  suggestionSnippetRange: true,
+};
+
+/**
+ * @param {string} privateKey PEM encoded key or the path of a PEM file
+ * @returns {string}
+ */
+GitHubAPI.readPrivateKey = (privateKey) => {
+  if (privateKey.includes('-----BEGIN')) {
+    // CI variables often have the line breaks escaped
+    return privateKey.replace(/\\n/g, '\n');
+  }
+  return fs.readFileSync(privateKey, 'utf8');
 };
 
+GitHubAPI.MODES = ['review', 'checks'];
+GitHubAPI.USER_AGENT = `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`;
+GitHubAPI.ACTIONS_LOGIN = 'github-actions[bot]';
+// GitHub rejects JWTs that expire more than 10 minutes from now
+GitHubAPI.JWT_EXPIRY_S = 9 * 60;
+// Installation tokens last an hour
+GitHubAPI.TOKEN_REFRESH_MS = 5 * 60 * 1000;
+GitHubAPI.CHECK_RUN_NAME = 'lintbot';
+GitHubAPI.ANNOTATIONS_PER_REQUEST = 50;
+// Fingerprint of the comments that were edited by `resolveSuggestion`
+GitHubAPI.RESOLVED = 'resolved';
+
 module.exports = GitHubAPI;
@@ -1,50 +1,71 @@
 const fetch = require('node-fetch');
+const parseDiff = require('parse-diff');
 const FetchError = require('../errors/FetchError');
 const invariant = require('../helpers/invariant');
+const diffScope = require('../helpers/diffScope');
+const fingerprint = require('../helpers/fingerprint');
 const pkg = require('../../package.json');
 
 class GitLabAPI {
   /**
-   * Requires `CI_PROJECT_ID`, `CI_COMMIT_REF_NAME`, `CI_MERGE_REQUEST_IID` to be set by GitLab CI
+   * Requires `CI_PROJECT_ID`, `CI_MERGE_REQUEST_IID` to be set by GitLab CI
    * Requires `LINTBOT_GITLAB_TOKEN`, `LINTBOT_GITLAB_USER_ID` to be set
    * Optionally takes `LINTBOT_GITLAB_BASEURL`
    *
    * `CI_MERGE_REQUEST_IID` is only available if `only: [merge_requests]` is used in `gitlab-ci.yml`
    * and the merge request is created.
    *
+   * Every environment variable can be passed as an option instead.
+   *
    * @param {object} options
    * @param {string} dryRun Only performs GET requests
+   * @param {string} projectId
+   * @param {string} mergeRequestId
+   * @param {string} token
+   * @param {string} userId
+   * @param {string} baseUrl
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
    */
-  constructor({ dryRun = false } = {}) {
+  constructor({
+    dryRun = false,
+    projectId = process.env.CI_PROJECT_ID,
+    mergeRequestId = process.env.CI_MERGE_REQUEST_IID,
+    token = process.env.LINTBOT_GITLAB_TOKEN,
+    userId = process.env.LINTBOT_GITLAB_USER_ID,
+    baseUrl = process.env.LINTBOT_GITLAB_BASEURL || 'https://gitlab.com',
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
     invariant(
-      typeof process.env.CI_PROJECT_ID === 'string',
+      ['string', 'number'].includes(typeof projectId),
       'Environment variable CI_PROJECT_ID is not defined',
     );
     invariant(
-      typeof process.env.CI_COMMIT_REF_NAME === 'string',
-      'Environment variable CI_COMMIT_REF_NAME is not defined',
-    );
-    invariant(
-      typeof process.env.CI_MERGE_REQUEST_IID === 'string',
+      ['string', 'number'].includes(typeof mergeRequestId),
       'Environment variable CI_MERGE_REQUEST_IID is not defined',
     );
     invariant(
-      typeof process.env.LINTBOT_GITLAB_TOKEN === 'string',
+      typeof token === 'string',
       'Environment variable LINTBOT_GITLAB_TOKEN is not defined',
     );
     invariant(
-      typeof process.env.LINTBOT_GITLAB_USER_ID === 'string',
+      ['string', 'number'].includes(typeof userId),
       'Environment variable LINTBOT_GITLAB_USER_ID is not defined',
     );
 
-    this.projectId = process.env.CI_PROJECT_ID;
-    this.branch = process.env.CI_COMMIT_REF_NAME;
-    this.mergeRequestId = process.env.CI_MERGE_REQUEST_IID;
-    this.token = process.env.LINTBOT_GITLAB_TOKEN;
-    this.userId = process.env.LINTBOT_GITLAB_USER_ID;
-    this.baseUrl = `${process.env.LINTBOT_GITLAB_BASEURL || 'https://gitlab.com'}/api/v4`;
+    this.projectId = projectId;
+    this.mergeRequestId = mergeRequestId;
+    this.token = token;
+    this.userId = userId;
+    this.baseUrl = `${baseUrl}/api/v4`;
+    this.mergeRequestUrl = `/projects/${encodeURIComponent(
+      this.projectId,
+    )}/merge_requests/${encodeURIComponent(this.mergeRequestId)}`;
 
     this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
   }
 
   /**
@@ -56,9 +77,7 @@ class GitLabAPI {
   async fetchFilePaths() {
     const res = await this.request(
       'GET',
-      `/projects/${encodeURIComponent(
-        this.projectId,
-      )}/merge_requests/${encodeURIComponent(this.mergeRequestId)}/changes`,
+      `${this.mergeRequestUrl}/changes`,
     );
 
     const {
@@ -70,7 +89,17 @@ class GitLabAPI {
     this.headSha = headSha;
     this.startSha = startSha;
 
-    return changes.map(change => change.new_path);
+    const newChanges = changes.filter(change => !change.deleted_file);
+
+    this.diff = newChanges
+      .map(change => parseDiff(`--- a/${change.old_path}\n+++ b/${change.new_path}\n${change.diff}`)[0]
+        || { from: change.old_path, to: change.new_path, chunks: [] });
+
+    this.newPaths = newChanges
+      .filter(change => change.new_file)
+      .map(change => change.new_path);
+
+    return newChanges.map(change => change.new_path);
   }
 
   /**
@@ -87,13 +116,52 @@ class GitLabAPI {
         this.projectId,
       )}/repository/files/${encodeURIComponent(
         path,
-      )}/raw?ref=${encodeURIComponent(this.branch)}`,
+      )}/raw?ref=${encodeURIComponent(this.headSha)}`,
     );
     const file = await res.text();
     return file;
   }
 
   /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string|null>} the file at the base commit, `null` when it was added
+   * @example
+   * await gitLabAPI.fetchBaseFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchBaseFile(path) {
+    if (this.newPaths.includes(path)) {
+      return null;
+    }
+    const { from } = this.getDiff(path) || { from: path };
+    try {
+      const res = await this.request(
+        'GET',
+        `/projects/${encodeURIComponent(
+          this.projectId,
+        )}/repository/files/${encodeURIComponent(
+          from,
+        )}/raw?ref=${encodeURIComponent(this.baseSha)}`,
+      );
+      const file = await res.text();
+      return file;
+    } catch (err) {
+      if (err instanceof FetchError && err.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async beforeSuggestionsStart() {
+    this.draftNoteCount = 0;
+  }
+
+  /**
+   * Suggestions are draft notes, they are published at once in `afterSuggestionsEnd` so that
+   * participants are notified once. GitLab versions without draft notes get a discussion per
+   * suggestion instead.
+   *
    * @param {string} path
    * @param {object} suggestion
    * @param {number} suggestion.line
@@ -106,46 +174,156 @@ class GitLabAPI {
    * });
    */
   async suggestChange(path, suggestion) {
+    const file = this.getDiff(path);
+    invariant(
+      file,
+      'Could not find file in diff in order to suggest a change.',
+    );
+    const position = {
+      position_type: 'text',
+      base_sha: this.baseSha,
+      start_sha: this.startSha,
+      head_sha: this.headSha,
+      new_path: path,
+      new_line: suggestion.line,
+      // Lines that were not added must be positioned in the old file as well
+      ...(diffScope.lineType(file, suggestion.line) !== 'add' ? {
+        old_path: file.from,
+        old_line: diffScope.oldLine(file, suggestion.line),
+      } : {}),
+    };
+
+    if (this.hasDraftNotes !== false) {
+      try {
+        await this.request(
+          'POST',
+          `${this.mergeRequestUrl}/draft_notes`,
+          { note: suggestion.message, position },
+        );
+        this.draftNoteCount += 1;
+        return;
+      } catch (err) {
+        if (!(err instanceof FetchError && err.status === 404)) {
+          throw err;
+        }
+        this.logger.warn('GitLab does not support draft notes, every suggestion is a discussion');
+        this.hasDraftNotes = false;
+      }
+    }
+
     await this.request(
       'POST',
-      `/projects/${encodeURIComponent(
-        this.projectId,
-      )}/merge_requests/${encodeURIComponent(
-        this.mergeRequestId,
-      )}/discussions?body=${encodeURIComponent(
-        suggestion.message,
-      )}&position[position_type]=text&position[base_sha]=${encodeURIComponent(
-        this.baseSha,
-      )}&position[start_sha]=${encodeURIComponent(
-        this.startSha,
-      )}&position[head_sha]=${encodeURIComponent(
-        this.headSha,
-      )}&position[new_path]=${encodeURIComponent(
-        path,
-      )}&position[new_line]=${encodeURIComponent(suggestion.line)}`,
+      `${this.mergeRequestUrl}/discussions`,
+      { body: suggestion.message, position },
     );
   }
 
   /**
-   * @returns {Promise<SuggestionId[]>}
+   * Publishes the draft notes, including those left over by a previous run that are still valid.
+   */
+  async afterSuggestionsEnd() {
+    if (this.draftNoteCount === 0 && !this.hasLeftoverDraftNotes) {
+      return;
+    }
+    await this.request('POST', `${this.mergeRequestUrl}/draft_notes/bulk_publish`);
+  }
+
+  /**
+   * Notes that are not on the diff, such as the summary, are left alone. Resolved notes are
+   * included, the ones that are still valid are kept instead of being posted again.
+   * Draft notes that a previous run did not publish are included, their id starts with
+   * `GitLabAPI.DRAFT_NOTE`.
+   *
+   * @returns {Promise<Suggestion[]>}
    * @example
-   * await vcapi.fetchSuggestionIds();
-   * // [["dad2cfbc644ef641fecf0c52c5b8e7e1c4460f34", 549], ...]
+   * await vcapi.fetchSuggestions();
+   * // [{
+   * //   id: ["dad2cfbc644ef641fecf0c52c5b8e7e1c4460f34", 549],
+   * //   body: ':warning: **Lint Warning** ...',
+   * //   hasReplies: false,
+   * // }, {
+   * //   id: ["draft", 12],
+   * //   body: ':warning: **Lint Warning** ...',
+   * //   hasReplies: false,
+   * // }, ...]
    */
-  async fetchSuggestionIds() {
-    const suggestionIds = await this.requestPaginated(
+  async fetchSuggestions() {
+    const draftNotes = await this.fetchDraftNotes();
+    this.hasLeftoverDraftNotes = draftNotes.length > 0;
+
+    const suggestions = await this.requestPaginated(
       'GET',
-      `/projects/${encodeURIComponent(
-        this.projectId,
-      )}/merge_requests/${encodeURIComponent(this.mergeRequestId)}/discussions`,
+      `${this.mergeRequestUrl}/discussions`,
       {
         itemTransform: d => d.notes
-          .filter(n => String(n.author.id) === String(this.userId))
-          .map(n => [d.id, n.id]),
+          .filter(n => String(n.author.id) === String(this.userId)
+            && n.type === 'DiffNote')
+          .map(n => ({
+            id: [d.id, n.id],
+            body: n.body,
+            hasReplies: d.notes.some(reply => !reply.system && reply.id !== n.id),
+          })),
         bodyTransform: b => b.reduce((r, a) => r.concat(a), []),
       },
     );
-    return suggestionIds;
+    return suggestions.concat(draftNotes);
+  }
+
+  /**
+   * Draft notes are only visible to their author, every one of them is from `lintbot`.
+   *
+   * @returns {Promise<Suggestion[]>}
+   */
+  async fetchDraftNotes() {
+    if (this.hasDraftNotes === false) {
+      return [];
+    }
+    try {
+      const draftNotes = await this.requestPaginated(
+        'GET',
+        `${this.mergeRequestUrl}/draft_notes`,
+        {
+          itemTransform: n => ({
+            id: [GitLabAPI.DRAFT_NOTE, n.id],
+            body: n.note,
+            hasReplies: false,
+          }),
+        },
+      );
+      return draftNotes;
+    } catch (err) {
+      if (err instanceof FetchError && err.status === 404) {
+        this.hasDraftNotes = false;
+        return [];
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [["dad2cfbc644ef641fecf0c52c5b8e7e1c4460f34", 549], ...]
+   */
+  async fetchSuggestionIds() {
+    const suggestions = await this.fetchSuggestions();
+    return suggestions.map(suggestion => suggestion.id);
+  }
+
+  /**
+   * Resolves the discussion instead of deleting it so that replies are kept.
+   *
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.resolveSuggestion(["dad2cfbc644ef641fecf0c52c5b8e7e1c4460f34", 549]);
+   */
+  async resolveSuggestion(suggestionId) {
+    const [discussionId] = suggestionId;
+    await this.request(
+      'PUT',
+      `${this.mergeRequestUrl}/discussions/${encodeURIComponent(discussionId)}?resolved=true`,
+    );
   }
 
   /**
@@ -155,18 +333,78 @@ class GitLabAPI {
    */
   async deleteSuggestion(suggestionId) {
     const [discussionId, noteId] = suggestionId;
+    if (discussionId === GitLabAPI.DRAFT_NOTE) {
+      await this.request(
+        'DELETE',
+        `${this.mergeRequestUrl}/draft_notes/${encodeURIComponent(noteId)}`,
+      );
+      return;
+    }
     await this.request(
       'DELETE',
-      `/projects/${encodeURIComponent(
-        this.projectId,
-      )}/merge_requests/${encodeURIComponent(
-        this.mergeRequestId,
-      )}/discussions/${encodeURIComponent(
+      `${this.mergeRequestUrl}/discussions/${encodeURIComponent(
         discussionId,
       )}/notes/${encodeURIComponent(noteId)}`,
     );
   }
 
+  /**
+   * Edits the merge request note that has the summary, it is created on the first run.
+   *
+   * @param {string} body
+   * @example
+   * await vcapi.updateSummary('### Lint summary ...');
+   */
+  async updateSummary(body) {
+    const notesUrl = `${this.mergeRequestUrl}/notes`;
+    const notes = await this.requestPaginated('GET', notesUrl);
+    const summary = notes.find(note => String(note.author.id) === String(this.userId)
+      && fingerprint.extract(note.body) === 'summary');
+    if (summary) {
+      await this.request('PUT', `${notesUrl}/${encodeURIComponent(summary.id)}`, { body });
+    } else {
+      await this.request('POST', notesUrl, { body });
+    }
+  }
+
+  /**
+   * Approves the merge request when the merge policy passes and withdraws the approval when it
+   * fails, the approval is only changed when it differs.
+   *
+   * @param {object} verdict
+   * @param {boolean} verdict.passed
+   * @example
+   * await vcapi.setVerdict({ passed: true, errors: 0, warnings: 2, message: '...' });
+   */
+  async setVerdict(verdict) {
+    const { mergeRequestUrl } = this;
+    const res = await this.request('GET', `${mergeRequestUrl}/approvals`);
+    const { approved_by: approvedBy = [] } = await res.json();
+    const isApproved = approvedBy.some(({ user }) => String(user.id) === String(this.userId));
+
+    if (verdict.passed && !isApproved) {
+      // `sha` makes GitLab reject the approval if the merge request changed since it was linted
+      await this.request('POST', `${mergeRequestUrl}/approve`, { sha: this.headSha });
+    } else if (!verdict.passed && isApproved) {
+      await this.request('POST', `${mergeRequestUrl}/unapprove`);
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.headSha;
+  }
+
   /**
    * @param {AbortSignal} signal
    */
@@ -174,22 +412,24 @@ class GitLabAPI {
     this.signal = signal;
   }
 
-  async request(method, url) {
+  async request(method, url, body = null) {
     const { signal } = this;
     delete this.signal;
 
     const fullUrl = (url.startsWith('http') ? '' : this.baseUrl) + url;
-    Logger.debug(method, fullUrl);
+    this.logger.debug(method, fullUrl);
 
     let res = { ok: true };
     if (!this.dryRun || method === 'GET') {
-      res = await fetch(fullUrl, {
+      res = await this.fetch(fullUrl, {
         method,
         signal,
         headers: {
           'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
           'Private-Token': this.token,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
         },
+        ...(body ? { body: JSON.stringify(body) } : {}),
       });
     }
 
@@ -212,7 +452,7 @@ class GitLabAPI {
     let nextLink = ['rel="first"', url];
     while (nextLink) {
       const res = await this.request(method, nextLink[1]);
-      const linkHeader = res.headers.get('link');
+      const linkHeader = res.headers.get('link') || '';
       invariant(
         typeof linkHeader === 'string',
         `Response header is not a string, it is ${typeof linkHeader}`,
@@ -232,6 +472,10 @@ class GitLabAPI {
 GitLabAPI.suggestions = {
   suggestionSnippet: true,
   suggestionSnippetMultiLine: true,
+  suggestionOutsideDiff: true,
 };
 
+// First element of the ids of draft notes, discussion ids are SHA-1 hashes
+GitLabAPI.DRAFT_NOTE = 'draft';
+
 module.exports = GitLabAPI;
@@ -0,0 +1,276 @@
+const fetch = require('node-fetch');
+const parseDiff = require('parse-diff');
+const FetchError = require('../errors/FetchError');
+const invariant = require('../helpers/invariant');
+const pkg = require('../../package.json');
+
+class GiteaAPI {
+  /**
+   * Requires `LINTBOT_GITEA_BASEURL`, `LINTBOT_GITEA_TOKEN`, `LINTBOT_GITEA_REPO`,
+   * `LINTBOT_GITEA_PRID` to be set
+   *
+   * Works for Forgejo as well since it shares the Gitea API.
+   *
+   * Every environment variable can be passed as an option instead.
+   *
+   * @param {object} options
+   * @param {string} dryRun Only performs GET requests
+   * @param {string} baseUrl
+   * @param {string} token
+   * @param {string} repo `owner/name`
+   * @param {string} prId
+   * @param {object} logger
+   * @param {function} fetch defaults to `node-fetch`, see `lib/helpers/Cassette.js`
+   */
+  constructor({
+    dryRun = false,
+    baseUrl = process.env.LINTBOT_GITEA_BASEURL,
+    token = process.env.LINTBOT_GITEA_TOKEN,
+    repo = process.env.LINTBOT_GITEA_REPO,
+    prId = process.env.LINTBOT_GITEA_PRID,
+    logger = console,
+    fetch: fetchFn = fetch,
+  } = {}) {
+    invariant(
+      typeof baseUrl === 'string',
+      'Environment variable LINTBOT_GITEA_BASEURL is not defined',
+    );
+    invariant(
+      typeof token === 'string',
+      'Environment variable LINTBOT_GITEA_TOKEN is not defined',
+    );
+    invariant(
+      typeof repo === 'string',
+      'Environment variable LINTBOT_GITEA_REPO is not defined',
+    );
+    invariant(
+      ['string', 'number'].includes(typeof prId),
+      'Environment variable LINTBOT_GITEA_PRID is not defined',
+    );
+
+    this.token = token;
+    this.repo = repo;
+    this.prId = prId;
+    this.baseUrl = `${baseUrl}/api/v1`;
+
+    this.dryRun = dryRun;
+    this.logger = logger;
+    this.fetch = fetchFn;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   * @example
+   * await giteaAPI.fetchFilePaths();
+   * // => ['client/app.js']
+   */
+  async fetchFilePaths() {
+    {
+      const res = await this.request('GET', `/repos/${this.repo}/pulls/${this.prId}`);
+      const pr = await res.json();
+      this.prHeadSha = pr.head.sha;
+    }
+
+    {
+      const res = await this.request('GET', `/repos/${this.repo}/pulls/${this.prId}.diff`);
+      const diffRaw = await res.text();
+      this.diff = parseDiff(diffRaw);
+    }
+
+    const filePaths = await this.requestPaginated(
+      'GET',
+      `/repos/${this.repo}/pulls/${this.prId}/files`,
+      {
+        itemTransform: file => (file.status !== 'deleted' ? file.filename : null),
+      },
+    );
+    return filePaths;
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string>}
+   * @example
+   * await giteaAPI.fetchFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchFile(path) {
+    const res = await this.request(
+      'GET',
+      `/repos/${this.repo}/raw/${path.split('/').map(encodeURIComponent).join('/')}?ref=${this.prHeadSha}`,
+    );
+    const file = await res.text();
+    return file;
+  }
+
+  async beforeSuggestionsStart() {
+    this.comments = [];
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} suggestion
+   * @param {number} suggestion.line
+   * @param {string} suggestion.message
+   * @returns {Promise}
+   * @example
+   * await vcapi.suggestChange('client/app.js', {
+   *  line: 1,
+   *  message: '**Lint Error** Missing semicolon.',
+   * });
+   */
+  async suggestChange(path, suggestion) {
+    this.comments.push({
+      path,
+      new_position: suggestion.line,
+      body: suggestion.message,
+    });
+  }
+
+  async afterSuggestionsEnd() {
+    if (this.comments.length === 0) {
+      return;
+    }
+    await this.request(
+      'POST',
+      `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+      {
+        commit_id: this.prHeadSha,
+        body: '',
+        event: 'COMMENT',
+        comments: this.comments,
+      },
+    );
+  }
+
+  /**
+   * Suggestions are posted as a single review, the whole review is deleted.
+   *
+   * @returns {Promise<SuggestionId[]>}
+   * @example
+   * await vcapi.fetchSuggestionIds();
+   * // [549, ...]
+   */
+  async fetchSuggestionIds() {
+    const res = await this.request('GET', '/user');
+    const { login } = await res.json();
+
+    const reviews = await this.requestPaginated(
+      'GET',
+      `/repos/${this.repo}/pulls/${this.prId}/reviews`,
+    );
+    return reviews
+      .filter(review => review.user.login === login)
+      .map(review => review.id);
+  }
+
+  /**
+   * @param {SuggestionId} suggestionId
+   * @example
+   * await vcapi.deleteSuggestion(549);
+   */
+  async deleteSuggestion(suggestionId) {
+    await this.request(
+      'DELETE',
+      `/repos/${this.repo}/pulls/${this.prId}/reviews/${suggestionId}`,
+    );
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @returns {string} commit that is linted, known once the file paths are fetched
+   */
+  getHeadSha() {
+    return this.prHeadSha;
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+
+  async request(method, url, body = null) {
+    const { signal } = this;
+    delete this.signal;
+
+    const fullUrl = (url.startsWith('http') ? '' : this.baseUrl) + url;
+    this.logger.debug(method, fullUrl);
+
+    let res = { ok: true };
+    if (!this.dryRun || method === 'GET') {
+      res = await this.fetch(fullUrl, {
+        method,
+        signal,
+        headers: {
+          'User-Agent': `https://github.com/omarchehab98/lintbot/releases/tag/${pkg.version}`,
+          Authorization: `token ${this.token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+    }
+
+    if (!res.ok) {
+      throw new FetchError(res);
+    }
+
+    return res;
+  }
+
+  /**
+   * Gitea paginates with `page` and `limit` query parameters and reports the total number of
+   * items in the `X-Total-Count` header.
+   */
+  async requestPaginated(
+    method,
+    url,
+    {
+      itemTransform = x => x,
+      bodyTransform = x => x,
+      limit = 50,
+    } = {},
+  ) {
+    const result = [];
+    const separator = url.includes('?') ? '&' : '?';
+    let page = 1;
+    let fetchedCount = 0;
+    let totalCount = Infinity;
+    while (fetchedCount < totalCount) {
+      const res = await this.request(method, `${url}${separator}page=${page}&limit=${limit}`);
+      const body = await res.json();
+      invariant(
+        Array.isArray(body),
+        `Response body is not an array, it is ${typeof body}`,
+      );
+      const totalCountHeader = res.headers.get('x-total-count');
+      totalCount = totalCountHeader !== null ? Number(totalCountHeader) : Infinity;
+      fetchedCount = body.length === 0 ? totalCount : fetchedCount + body.length;
+      page += 1;
+      result.push(
+        ...bodyTransform(
+          body
+            .map(itemTransform)
+            .filter(x => x !== null),
+        ),
+      );
+    }
+    return result;
+  }
+}
+
+GiteaAPI.suggestions = {
+  suggestionSnippet: false,
+  suggestionSnippetMultiLine: false,
+  codeSnippet: true,
+};
+
+module.exports = GiteaAPI;
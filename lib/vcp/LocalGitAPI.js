@@ -0,0 +1,187 @@
+const fs = require('fs');
+const util = require('util');
+const childProcess = require('child_process');
+const parseDiff = require('parse-diff');
+const invariant = require('../helpers/invariant');
+
+const execFile = util.promisify(childProcess.execFile);
+const writeFile = util.promisify(fs.writeFile);
+const appendFile = util.promisify(fs.appendFile);
+
+class LocalGitAPI {
+  /**
+   * Compares two refs of the local git repository instead of a pull request, suggestions are
+   * printed to the terminal or written to a file instead of being posted.
+   *
+   * @param {object} options
+   * @param {string} options.base Ref the changes are compared against, e.g. `origin/main`
+   * @param {string} options.head Ref that contains the changes, defaults to `HEAD`
+   * @param {string} options.output File the suggestions are written to, defaults to the terminal
+   * @param {string} options.cwd Path inside of the git repository, defaults to the current
+   * working directory
+   * @param {object} options.logger Prints the suggestions unless `output` is given
+   */
+  constructor({
+    base,
+    head = 'HEAD',
+    output = null,
+    cwd = process.cwd(),
+    logger = console,
+  } = {}) {
+    invariant(
+      typeof base === 'string',
+      'Option --base is not defined',
+    );
+    invariant(
+      typeof head === 'string',
+      'Option --head is not defined',
+    );
+
+    this.base = base;
+    this.head = head;
+    this.output = output;
+    this.cwd = cwd;
+    this.logger = logger;
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   * @example
+   * await localGitAPI.fetchFilePaths();
+   * // => ['client/app.js']
+   */
+  async fetchFilePaths() {
+    this.headSha = (await this.git('rev-parse', '--verify', `${this.head}^{commit}`)).trim();
+    // Three dots compares against the merge base, which is what pull requests show
+    const diffRaw = await this.git(
+      'diff',
+      '--no-color',
+      '--no-ext-diff',
+      // Renamed files are compared with the file they were renamed from
+      '--find-renames',
+      `${this.base}...${this.headSha}`,
+    );
+    this.diff = parseDiff(diffRaw);
+    this.baseSha = (await this.git('merge-base', this.base, this.headSha)).trim();
+    return this.diff
+      .filter(file => !file.deleted)
+      .map(file => file.to);
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string>}
+   * @example
+   * await localGitAPI.fetchFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchFile(path) {
+    const file = await this.git('show', `${this.headSha}:${path}`);
+    return file;
+  }
+
+  /**
+   * @param {string} path Path without the leading slash
+   * @returns {Promise<string|null>} the file at the merge base, `null` when it was added
+   * @example
+   * await localGitAPI.fetchBaseFile('client/app.js');
+   * // => 'const file = "app.js"'
+   */
+  async fetchBaseFile(path) {
+    const file = this.getDiff(path);
+    if (file && file.new) {
+      return null;
+    }
+    const { from } = file || { from: path };
+    const baseFile = await this.git('show', `${this.baseSha}:${from}`);
+    return baseFile;
+  }
+
+  async beforeSuggestionsStart() {
+    this.comments = [];
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} suggestion
+   * @param {number} suggestion.line
+   * @param {string} suggestion.message
+   * @returns {Promise}
+   * @example
+   * await vcapi.suggestChange('client/app.js', {
+   *  line: 1,
+   *  message: '```suggestion\nconst file = "new apps.s")\n```',
+   * });
+   */
+  async suggestChange(path, suggestion) {
+    this.comments.push({
+      path,
+      line: suggestion.line,
+      body: suggestion.message,
+    });
+  }
+
+  async afterSuggestionsEnd() {
+    const report = this.comments
+      .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line)
+      .map(comment => `${comment.path}:${comment.line}\n\n${comment.body.trim()}\n`)
+      .join('\n---\n\n');
+
+    if (this.output) {
+      await writeFile(this.output, report);
+    } else if (report) {
+      this.logger.log(report);
+    }
+  }
+
+  /**
+   * @param {string} body
+   */
+  async updateSummary(body) {
+    if (this.output) {
+      await appendFile(this.output, `\n---\n\n${body.trim()}\n`);
+    } else {
+      this.logger.log(body.trim());
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @returns {object} File parsed by `parse-diff`
+   */
+  getDiff(path) {
+    return this.diff.find(f => f.to === path);
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+
+  async git(...args) {
+    const { signal } = this;
+    delete this.signal;
+
+    this.logger.debug('git', ...args);
+
+    const { stdout } = await execFile('git', args, {
+      cwd: this.cwd,
+      signal,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  }
+}
+
+// Suggestions are printed, there is nothing to clean up
+LocalGitAPI.postsSuggestions = false;
+
+LocalGitAPI.suggestions = {
+  suggestionSnippet: true,
+  suggestionSnippetMultiLine: true,
+  suggestionOutsideDiff: true,
+};
+
+module.exports = LocalGitAPI;
@@ -7,19 +7,85 @@
  *
  * suggestChange(path: string, suggestion: {
  *   line: number,
+ *   range: { start: number, end: number } | null,
  *   message: string,
+ *   fingerprint: string,
+ *   severity: 1 | 2,
+ *   ruleId: string | null,
+ *   text: string,
+ *   fixedSource: string | null,
  * })
+ * `message` is the rendered markdown, `text` the lint message alone and `fixedSource` the lines
+ * that have the fix applied. `range` is set for VCPs with `suggestionSnippetRange`, the comment
+ * must span these lines for its suggestion to replace them. Resolves `false` when the VCP cannot
+ * comment on these lines, the lint messages are then skipped with the reason `diff`.
  *
  * fetchSuggestionIds(): any[]
  *
  * deleteSuggestion(suggestionId: any)
  *
  * attachSignal(signal: AbortSignal)
+ *
+ * VCPs may implement the optional methods below.
+ *
+ * beforeSuggestionsStart()
+ *
+ * afterSuggestionsEnd()
+ *
+ * afterSuggestionsError(error: Error)
+ * Called instead of `afterSuggestionsEnd` when the run stops after `beforeSuggestionsStart` or
+ * when `afterSuggestionsEnd` fails, e.g. to complete what `beforeSuggestionsStart` started.
+ *
+ * fetchSuggestions(): {
+ *   id: any,
+ *   body: string,
+ *   hasReplies: boolean,
+ * }[]
+ * Enables reconciliation, suggestions that are still valid are kept instead of being re-posted.
+ *
+ * resolveSuggestion(suggestionId: any)
+ * Used instead of `deleteSuggestion` for outdated suggestions that have replies.
+ *
+ * updateSummary(body: string)
+ * Creates or edits the one comment that summarizes all lint messages of the pull request.
+ *
+ * setVerdict(verdict: {
+ *   passed: boolean,
+ *   errors: number,
+ *   warnings: number,
+ *   message: string,
+ * })
+ * Approves or requests changes on the pull request, only called when a merge policy is set with
+ * `--max-errors` or `--max-warnings`. It is called before `afterSuggestionsEnd`.
+ *
+ * fetchBaseFile(path: string): string | null
+ * The file before the change, `null` when it was added. Enables `--baseline`, lint messages that
+ * the file already had are not commented on.
+ *
+ * getHeadSha(): string
+ * Commit that is linted, known once `fetchFilePaths` resolves. Enables `--workspace`, files are
+ * read from the checkout instead of `fetchFile` when it is at this commit.
+ *
+ * VCPs that never post suggestions, such as `LocalGitAPI`, set a static `postsSuggestions` to
+ * `false` and leave out `fetchSuggestionIds` and `deleteSuggestion`, there is nothing to clean up.
+ *
+ * VCPs must also declare the markdown they can render through a static `suggestions` object,
+ * see `lib/lint/eslint.js`. An instance may override it with its own `suggestions` property.
  */
 const GitHubAPI = require('./GitHubAPI');
 const GitLabAPI = require('./GitLabAPI');
+const BitbucketAPI = require('./BitbucketAPI');
+const BitbucketServerAPI = require('./BitbucketServerAPI');
+const GiteaAPI = require('./GiteaAPI');
+const AzureDevOpsAPI = require('./AzureDevOpsAPI');
+const LocalGitAPI = require('./LocalGitAPI');
 
 module.exports = {
   github: GitHubAPI,
   gitlab: GitLabAPI,
+  bitbucket: BitbucketAPI,
+  'bitbucket-server': BitbucketServerAPI,
+  gitea: GiteaAPI,
+  azure: AzureDevOpsAPI,
+  local: LocalGitAPI,
 };
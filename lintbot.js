@@ -1,5 +1,10 @@
 #!/usr/bin/env node
 const lintbot = require('./lib/lintbot.js');
 const { CLIEngine } = require('eslint');
-process.on('unhandledRejection', error => console.error(error));
-lintbot({ CLIEngine });
+process.on('unhandledRejection', (error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
+lintbot({ CLIEngine }).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const { resolveConfig, resolveOptions } = require('../../lib/config');
+const ConfigError = require('../../lib/errors/ConfigError');
+const { tmpDir, removeDir } = require('../support');
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tmpDir('config');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const writeRc = rc => fs.writeFileSync(nodePath.join(dir, '.lintbotrc'), JSON.stringify(rc));
+
+  it('takes the command line over .lintbotrc over the options of lintbot() over the defaults', () => {
+    writeRc({ limit: 10, retry: 1, mode: 'checks' });
+
+    const config = resolveConfig({
+      argv: ['github', '.eslintrc.json', '--limit', '20'],
+      overrides: { limit: 30, retry: 2, timeoutMs: 100 },
+      cwd: dir,
+    });
+    assert.strictEqual(config.provider, 'github');
+    assert.strictEqual(config.eslintConfig, '.eslintrc.json');
+    assert.strictEqual(config.limit, 20);
+    assert.strictEqual(config.retry, 1);
+    assert.strictEqual(config.timeoutMs, 100);
+    assert.strictEqual(config.retryDelayMs, 1000);
+    assert.deepStrictEqual(config.providerOptions, { mode: 'checks' });
+    assert.strictEqual(config.configFile, nodePath.join(dir, '.lintbotrc'));
+  });
+
+  it('reads the options of the provider under providers', () => {
+    writeRc({ base: 'origin/develop', providers: { local: { base: 'origin/main' }, github: { mode: 'checks' } } });
+
+    assert.deepStrictEqual(resolveConfig({ argv: ['local'], cwd: dir }).providerOptions, { base: 'origin/main' });
+    assert.deepStrictEqual(
+      resolveConfig({ argv: ['local', '--base', 'HEAD~1'], cwd: dir }).providerOptions,
+      { base: 'HEAD~1' },
+    );
+  });
+
+  it('rejects unknown options, values of the wrong type and a missing provider', () => {
+    const rcFile = nodePath.join(dir, '.lintbotrc');
+    const rejects = (argv, message) => assert.throws(
+      () => resolveConfig({ argv, cwd: dir }),
+      err => err instanceof ConfigError && err.message === message,
+    );
+
+    rejects(['nope'], 'Option --provider must be one of github, gitlab, bitbucket, bitbucket-server, gitea, azure, local, got "nope"');
+    rejects(['local', 'a', 'b'], 'Unexpected argument "b"');
+    rejects(['local', '--limit', '0'], 'Option --limit must be an integer greater than or equal to 1, got 0');
+    rejects([], 'No version control provider given, expected one of github, gitlab, bitbucket, bitbucket-server, gitea, azure, local');
+
+    writeRc({ scope: 'lines' });
+    rejects(['local'], `Option "scope" in ${rcFile} must be one of added, hunks, file, got "lines"`);
+
+    writeRc({ provider: 'local', limits: 2 });
+    rejects([], `Unknown option "limits" in ${rcFile}`);
+
+    writeRc({ providers: { local: { mode: 'checks', bases: 'main' } } });
+    rejects(['local'], `Unknown option "providers.local.bases" in ${rcFile}`);
+  });
+
+  it('only prints the usage with --help', () => {
+    writeRc({ limit: 'ten' });
+    assert.deepStrictEqual(resolveConfig({ argv: ['--help'], cwd: dir }), { help: true });
+  });
+
+  describe('resolveOptions', () => {
+    it('fills in the defaults without reading .lintbotrc', () => {
+      writeRc({ limit: 10 });
+      const config = resolveOptions({ provider: 'github', maxErrors: 0, summary: undefined });
+      assert.strictEqual(config.limit, 5);
+      assert.strictEqual(config.maxErrors, 0);
+      assert.strictEqual(config.summary, true);
+    });
+
+    it('rejects the provider options and the options of the command line only', () => {
+      assert.throws(() => resolveOptions({ mode: 'checks' }), /Unknown option "mode" in lintbot.run\(\)/);
+      assert.throws(() => resolveOptions({ help: true }), /Unknown option "help" in lintbot.run\(\)/);
+    });
+  });
+
+  describe('linters', () => {
+    it('reads the linters from the command line and their options from .lintbotrc', () => {
+      writeRc({ linterOptions: { typescript: { configFile: 'tsconfig.build.json' } } });
+
+      const config = resolveConfig({ argv: ['local', '--linters', 'stylelint,typescript'], cwd: dir });
+      assert.deepStrictEqual(config.linters, ['stylelint', 'typescript']);
+      assert.deepStrictEqual(config.linterOptions, { typescript: { configFile: 'tsconfig.build.json' } });
+    });
+
+    it('rejects a linter that lintbot cannot create', () => {
+      assert.throws(
+        () => resolveConfig({ argv: ['local', '--linters', 'eslint'], cwd: dir }),
+        err => err instanceof ConfigError
+          && err.message === 'Option --linters must only contain stylelint, typescript, prettier, got ["eslint"]',
+      );
+    });
+
+    it('rejects unknown linters and options of the wrong type in linterOptions', () => {
+      const rcFile = nodePath.join(dir, '.lintbotrc');
+      writeRc({ linterOptions: { jshint: {} } });
+      assert.throws(
+        () => resolveConfig({ argv: ['local'], cwd: dir }),
+        err => err instanceof ConfigError
+          && err.message === `Unsupported linter "jshint" in ${rcFile}, expected one of stylelint, typescript, prettier`,
+      );
+
+      writeRc({ linterOptions: { prettier: { severity: 3 } } });
+      assert.throws(
+        () => resolveConfig({ argv: ['local'], cwd: dir }),
+        err => err instanceof ConfigError
+          && err.message === `Option "linterOptions.prettier.severity" in ${rcFile} must be an integer from 1 to 2, got 3`,
+      );
+
+      writeRc({ linterOptions: { stylelint: { config: 'x' } } });
+      assert.throws(
+        () => resolveConfig({ argv: ['local'], cwd: dir }),
+        err => err instanceof ConfigError
+          && err.message === `Unknown option "linterOptions.stylelint.config" in ${rcFile}`,
+      );
+    });
+  });
+});
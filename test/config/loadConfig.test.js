@@ -0,0 +1,66 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const loadConfig = require('../../lib/config/loadConfig');
+const ConfigError = require('../../lib/errors/ConfigError');
+const { tmpDir, removeDir, writeFiles } = require('../support');
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tmpDir('load-config');
+    // The lookup stops at the root of the repository
+    fs.mkdirSync(nodePath.join(dir, '.git'));
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('looks up the first configuration file from the working directory to the root of the repository', () => {
+    writeFiles(dir, {
+      '.lintbotrc.yml': 'scope: added\nproviders:\n  local:\n    base: origin/main\n',
+      'packages/app/index.js': '',
+    });
+
+    assert.deepStrictEqual(loadConfig({ cwd: nodePath.join(dir, 'packages', 'app') }), {
+      file: nodePath.join(dir, '.lintbotrc.yml'),
+      config: { scope: 'added', providers: { local: { base: 'origin/main' } } },
+    });
+  });
+
+  it('prefers .lintbotrc written in JSON and reads .lintbotrc.js as a module', () => {
+    writeFiles(dir, {
+      '.lintbotrc': '{ "limit": 10 }',
+      '.lintbotrc.js': 'module.exports = { limit: require("./limit") };',
+      'limit.js': 'module.exports = 20;',
+    });
+
+    assert.deepStrictEqual(loadConfig({ cwd: dir }).config, { limit: 10 });
+    assert.deepStrictEqual(loadConfig({ file: '.lintbotrc.js', cwd: dir }).config, { limit: 20 });
+  });
+
+  it('is empty without a configuration file or with an empty one', () => {
+    assert.deepStrictEqual(loadConfig({ cwd: dir }), { file: null, config: {} });
+
+    writeFiles(dir, { '.lintbotrc': '' });
+    assert.deepStrictEqual(loadConfig({ cwd: dir }).config, {});
+  });
+
+  it('fails with a ConfigError when the file is missing, malformed or not an object', () => {
+    const rcFile = nodePath.join(dir, '.lintbotrc');
+    const rejects = (file, message) => assert.throws(
+      () => loadConfig({ file, cwd: dir }),
+      err => err instanceof ConfigError && err.message.startsWith(message),
+    );
+
+    rejects('missing.yml', `Cannot read ${nodePath.join(dir, 'missing.yml')}: ENOENT`);
+
+    writeFiles(dir, { '.lintbotrc': 'limit: [' });
+    rejects('.lintbotrc', `Cannot read ${rcFile}: `);
+
+    writeFiles(dir, { '.lintbotrc': '- github' });
+    rejects('.lintbotrc', `${rcFile} must contain an object`);
+  });
+});
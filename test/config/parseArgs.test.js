@@ -0,0 +1,56 @@
+const assert = require('assert');
+const parseArgs = require('../../lib/config/parseArgs');
+const options = require('../../lib/config/options');
+const ConfigError = require('../../lib/errors/ConfigError');
+
+describe('parseArgs', () => {
+  it('reads flags, aliases, negations, inline values and positionals', () => {
+    assert.deepStrictEqual(
+      parseArgs(['local', '--base=main', '-d', '--no-summary', '--limit', '10', '.eslintrc.json'], options),
+      {
+        values: {
+          base: 'main',
+          dryRun: true,
+          summary: false,
+          limit: 10,
+        },
+        positionals: ['local', '.eslintrc.json'],
+      },
+    );
+  });
+
+  it('splits lists on commas and accumulates repeated lists', () => {
+    const { values } = parseArgs(['--exclude', 'dist/**,', '--exclude=**/*.min.js'], options);
+    assert.deepStrictEqual(values.exclude, ['dist/**', '**/*.min.js']);
+  });
+
+  it('reads true or false after a boolean flag', () => {
+    assert.deepStrictEqual(parseArgs(['--summary', 'false', 'github'], options), {
+      values: { summary: false },
+      positionals: ['github'],
+    });
+    assert.deepStrictEqual(parseArgs(['--baseline', 'github'], options), {
+      values: { baseline: true },
+      positionals: ['github'],
+    });
+  });
+
+  it('keeps what follows -- as positionals', () => {
+    assert.deepStrictEqual(parseArgs(['--', '--limit'], options).positionals, ['--limit']);
+  });
+
+  it('rejects unknown flags and values that do not fit the option', () => {
+    const rejects = (argv, message) => assert.throws(
+      () => parseArgs(argv, options),
+      err => err instanceof ConfigError && err.message === message,
+    );
+    rejects(['--nope'], 'Unknown option --nope');
+    rejects(['-x'], 'Unknown option -x');
+    rejects(['--no-limit'], 'Unknown option --no-limit');
+    rejects(['--limit', 'ten'], 'Option --limit expects a number, got "ten"');
+    rejects(['--limit'], 'Option --limit expects a value <n>');
+    rejects(['--summary=maybe'], 'Option --summary expects true or false, got "maybe"');
+    // Only read from .lintbotrc
+    rejects(['--rule-urls', '{}'], 'Unknown option --rule-urls');
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const { Response } = require('node-fetch');
+const Cassette = require('../../lib/helpers/Cassette');
+const { tmpDir, removeDir } = require('../support');
+
+const SECRET = 'ghs_16C7e42F292c6912E7710c8';
+
+describe('Cassette', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = tmpDir('cassette');
+    file = nodePath.join(dir, 'cassette.json');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('records the interactions without the credentials and replays them in order', async () => {
+    let attempt = 0;
+    const recordFetch = async (url) => {
+      if (url.endsWith('/files')) {
+        attempt += 1;
+        return attempt === 1
+          ? new Response('Bad Gateway', { status: 502, statusText: 'Bad Gateway' })
+          : new Response('["app.js"]', { headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response(JSON.stringify({ token: SECRET, expires_at: '2026-10-19T01:00:00Z' }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    };
+    const recorder = new Cassette(file, { mode: 'record', secrets: [SECRET], fetch: recordFetch });
+    const headers = { Authorization: `token ${SECRET}`, 'Content-Type': 'application/json' };
+
+    const tokenRes = await recorder.fetch('https://api.github.com/app/installations/7/access_tokens?sig=abc', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ repository: 'lintbot', private_key: SECRET }),
+    });
+    assert.strictEqual((await tokenRes.json()).token, SECRET);
+    assert.strictEqual((await recorder.fetch('https://api.github.com/files', { headers })).status, 502);
+    assert.deepStrictEqual(await (await recorder.fetch('https://api.github.com/files', { headers })).json(), ['app.js']);
+    await recorder.save();
+
+    const saved = fs.readFileSync(file, 'utf8');
+    assert.ok(!saved.includes(SECRET));
+    const { version, interactions: [tokenInteraction] } = JSON.parse(saved);
+    assert.strictEqual(version, Cassette.VERSION);
+    assert.strictEqual(tokenInteraction.request.url, 'https://api.github.com/app/installations/7/access_tokens?sig=***');
+    assert.strictEqual(tokenInteraction.request.headers.authorization, '***');
+    assert.deepStrictEqual(JSON.parse(tokenInteraction.request.body), { repository: 'lintbot', private_key: '***' });
+    assert.deepStrictEqual(JSON.parse(tokenInteraction.response.body), { token: '***', expires_at: '2026-10-19T01:00:00Z' });
+
+    const player = new Cassette(file, { mode: 'replay', secrets: [SECRET] });
+    await player.load();
+    const replayStatus = async () => (await player.fetch('https://api.github.com/files', { headers })).status;
+    const statuses = [await replayStatus(), await replayStatus(), await replayStatus()];
+    // The last interaction answers again once every one is used
+    assert.deepStrictEqual(statuses, [502, 200, 200]);
+    await assert.rejects(
+      player.fetch('https://api.github.com/user', { headers }),
+      { message: `No recorded response for GET https://api.github.com/user in ${file}` },
+    );
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const FetchParallel = require('../../lib/helpers/FetchParallel');
+const TimeoutError = require('../../lib/errors/TimeoutError');
+const JobsError = require('../../lib/errors/JobsError');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('FetchParallel', () => {
+  it('yields the results in the order the jobs were added', async () => {
+    const dispatcher = new FetchParallel({ limit: 3 });
+    dispatcher.add(() => delay(20).then(() => 'a'), { name: 'a', meta: { path: 'a.js' } });
+    dispatcher.add(() => delay(5).then(() => 'b'), { name: 'b' });
+
+    assert.deepStrictEqual(await dispatcher.yield(), [
+      {
+        id: 0, name: 'a', meta: { path: 'a.js' }, retry: 1, result: 'a',
+      },
+      {
+        id: 1, name: 'b', meta: null, retry: 1, result: 'b',
+      },
+    ]);
+    assert.deepStrictEqual(await dispatcher.yield(), []);
+  });
+
+  it('starts the jobs of a higher priority first, first in first out within a priority', async () => {
+    const dispatcher = new FetchParallel({ limit: 1 });
+    const starts = [];
+    dispatcher.on('start', job => starts.push(job.name));
+
+    dispatcher.add(() => delay(5), { name: 'first' });
+    dispatcher.add(() => delay(1), { name: 'low', priority: 'low' });
+    dispatcher.add(() => delay(1), { name: 'normal' });
+    dispatcher.add(() => delay(1), { name: 'high 1', priority: 'high' });
+    dispatcher.add(() => delay(1), { name: 'high 2', priority: 'high' });
+    await dispatcher.yield();
+
+    assert.deepStrictEqual(starts, ['first', 'high 1', 'high 2', 'normal', 'low']);
+    assert.throws(() => dispatcher.add(() => delay(1), { priority: 'urgent' }), /Unsupported priority "urgent"/);
+  });
+
+  it('retries a job that timed out and aborts the attempt', async () => {
+    const dispatcher = new FetchParallel({ limit: 1, timeoutMs: 10, retryDelayMs: 1 });
+    const retries = [];
+    dispatcher.on('retry', (job, err) => retries.push(err));
+
+    const signals = [];
+    dispatcher.add((signal) => {
+      signals.push(signal);
+      return signals.length === 1 ? delay(50) : Promise.resolve('done');
+    });
+
+    const [{ result, retry }] = await dispatcher.yield();
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(retry, 2);
+    assert.ok(retries[0] instanceof TimeoutError);
+    assert.strictEqual(signals[0].aborted, true);
+    assert.strictEqual(signals[1].aborted, false);
+  });
+
+  it('finishes the other jobs when a job fails', async () => {
+    const dispatcher = new FetchParallel({ limit: 1 });
+    dispatcher.add(async () => {
+      throw new Error('Boo hoo');
+    }, { name: 'fails' });
+    dispatcher.add(async () => 'done', { name: 'succeeds' });
+
+    const finished = [];
+    dispatcher.on('finish', (job, result) => finished.push([job.name, result]));
+
+    await assert.rejects(dispatcher.yield(), err => err instanceof JobsError
+      && err.errors.length === 1 && err.cancelled === 0
+      && err.message === '1 jobs failed\n  Job fails failed after 1 attempts: Boo hoo');
+    assert.deepStrictEqual(finished, [['fails', null], ['succeeds', 'done']]);
+  });
+
+  it('cancels the other jobs with failFast', async () => {
+    const fatal = new Error('Unauthorized');
+    const dispatcher = new FetchParallel({ limit: 2, failFast: err => err === fatal });
+    const signals = [];
+    dispatcher.add((signal) => {
+      signals.push(signal);
+      return delay(50);
+    }, { name: 'running' });
+    dispatcher.add(async () => {
+      throw fatal;
+    }, { name: 'fatal' });
+    dispatcher.add(() => delay(1), { name: 'waiting' });
+
+    await assert.rejects(dispatcher.yield(), err => err instanceof JobsError
+      && err.errors.length === 1 && err.cancelled === 2);
+    assert.strictEqual(signals[0].aborted, true);
+  });
+
+  it('cancels every job on demand', async () => {
+    const dispatcher = new FetchParallel({ limit: 1 });
+    dispatcher.add(() => delay(50));
+    dispatcher.add(() => delay(50));
+    const yielded = dispatcher.yield();
+    dispatcher.cancel(new Error('Stopped'));
+
+    await assert.rejects(yielded, err => err.cancelled === 2);
+    assert.strictEqual(dispatcher.pendingJobsCount, 0);
+    assert.strictEqual(dispatcher.waitingJobsCount, 0);
+  });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const AbortController = require('abort-controller');
+const Workspace = require('../../lib/helpers/Workspace');
+const {
+  memoryLogger,
+  tmpDir,
+  removeDir,
+  git,
+  writeFiles,
+} = require('../support');
+
+describe('Workspace', () => {
+  let dir;
+  let baseSha;
+
+  beforeEach(() => {
+    dir = tmpDir('workspace');
+    git(dir, 'init', '--quiet');
+    writeFiles(dir, { 'app.js': 'const a = 1;\n' });
+    git(dir, 'add', '--all');
+    git(dir, 'commit', '--quiet', '--message', 'base');
+    baseSha = git(dir, 'rev-parse', 'HEAD').trim();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  describe('isAt', () => {
+    it('compares HEAD with a full or an abbreviated commit', async () => {
+      const workspace = new Workspace(dir, memoryLogger());
+      assert.strictEqual(await workspace.isAt(baseSha), true);
+      assert.strictEqual(await workspace.isAt(baseSha.slice(0, 7)), true);
+
+      writeFiles(dir, { 'app.js': 'const a = 2;\n' });
+      git(dir, 'commit', '--quiet', '--all', '--message', 'change');
+      assert.strictEqual(await workspace.isAt(baseSha), false);
+    });
+
+    it('is false for a commit that was not fetched or a directory without git', async () => {
+      const logger = memoryLogger();
+      assert.strictEqual(await new Workspace(dir, logger).isAt('0'.repeat(40)), false);
+
+      const emptyDir = tmpDir('empty');
+      try {
+        assert.strictEqual(await new Workspace(emptyDir, logger).isAt(baseSha), false);
+      } finally {
+        removeDir(emptyDir);
+      }
+      assert.strictEqual(logger.lines.filter(l => l.includes('is not at')).length, 2);
+    });
+  });
+
+  describe('readFile', () => {
+    it('reads the commit, not the working tree', async () => {
+      writeFiles(dir, { 'app.js': 'const built = true;\n' });
+      fs.symlinkSync('/etc/hostname', nodePath.join(dir, 'link.js'));
+
+      const workspace = new Workspace(dir, memoryLogger());
+      assert.strictEqual(await workspace.readFile(baseSha, 'app.js'), 'const a = 1;\n');
+      await assert.rejects(workspace.readFile(baseSha, 'link.js'));
+    });
+
+    it('stops reading when the signal aborts', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(
+        new Workspace(dir, memoryLogger()).readFile(baseSha, 'app.js', controller.signal),
+        { name: 'AbortError' },
+      );
+    });
+  });
+});
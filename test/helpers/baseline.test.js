@@ -0,0 +1,62 @@
+const assert = require('assert');
+const parseDiff = require('parse-diff');
+const baseline = require('../../lib/helpers/baseline');
+
+const message = (line, ruleId = 'no-var') => ({
+  line,
+  linter: 'eslint',
+  ruleId,
+  message: `${ruleId} message`,
+});
+
+describe('baseline', () => {
+  // Line 1 is added, the old lines 1 and 2 are now lines 2 and 3
+  const [diff] = parseDiff(`diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -1,2 +1,3 @@
++var added = 0;
+ var a = 1;
+ var b = 2;
+`);
+
+  it('finds the messages that the old file had on the lines the diff maps them to', () => {
+    const messages = [message(1), message(2), message(3, 'semi')];
+    const existing = baseline(messages, [message(1), message(2)], diff);
+    assert.deepStrictEqual(Array.from(existing), [messages[1]]);
+  });
+
+  it('never finds messages on added lines', () => {
+    const messages = [message(1)];
+    assert.strictEqual(baseline(messages, [message(1)], diff).size, 0);
+  });
+
+  it('matches as many messages as the old file had', () => {
+    const messages = [message(2), message(2)];
+    assert.strictEqual(baseline(messages, [message(1)], diff).size, 1);
+  });
+
+  it('compares the same lines of an unchanged file', () => {
+    const messages = [message(4)];
+    assert.strictEqual(baseline(messages, [message(4)], null).size, 1);
+  });
+});
+
+describe('baseline.suppressed', () => {
+  const suppressions = { 'app.js': { 'no-var': { count: 2 } } };
+
+  it('suppresses the messages of a rule up to its count', () => {
+    const messages = [message(1), message(2), message(3, 'semi')];
+    const suppressed = baseline.suppressed(messages, 'app.js', suppressions);
+    assert.deepStrictEqual(Array.from(suppressed), [messages[0], messages[1]]);
+  });
+
+  it('suppresses none of the messages of a rule above its count', () => {
+    const messages = [message(1), message(2), message(3)];
+    assert.strictEqual(baseline.suppressed(messages, 'app.js', suppressions).size, 0);
+  });
+
+  it('suppresses nothing in other files', () => {
+    assert.strictEqual(baseline.suppressed([message(1)], 'other.js', suppressions).size, 0);
+  });
+});
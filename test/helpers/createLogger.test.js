@@ -0,0 +1,54 @@
+const assert = require('assert');
+const createLogger = require('../../lib/helpers/createLogger');
+
+/**
+ * @returns {object} logger that keeps `[method, line]` of each call in `calls`
+ */
+const recordingLogger = () => {
+  const calls = [];
+  const record = method => line => calls.push([method, line]);
+  return {
+    calls,
+    debug: record('debug'),
+    log: record('log'),
+    warn: record('warn'),
+    error: record('error'),
+  };
+};
+
+describe('createLogger', () => {
+  it('prints the lines from a level with the method of their level', () => {
+    const base = recordingLogger();
+    const logger = createLogger({ logger: base, level: 'info' });
+
+    logger.debug('GET', 'https://api.github.com/user');
+    logger.log('Linting', 2, 'files');
+    logger.info('Done');
+    logger.warn('Slow down');
+    logger.error(new Error('Bad credentials'));
+
+    assert.deepStrictEqual(base.calls.slice(0, 3), [
+      ['log', 'Linting 2 files'],
+      ['log', 'Done'],
+      ['warn', 'Slow down'],
+    ]);
+    assert.strictEqual(base.calls[3][0], 'error');
+    assert.ok(base.calls[3][1].startsWith('Error: Bad credentials\n    at '));
+  });
+
+  it('prints a JSON object per line with the credentials masked', () => {
+    const base = recordingLogger();
+    const logger = createLogger({ logger: base, format: 'json', secrets: ['ghp_16C7e42F'] });
+
+    logger.warn('GET', 'https://api.github.com/user?access_token=ghp_16C7e42F', 'failed');
+    logger.debug('token', 'ghp_16C7e42F');
+
+    assert.deepStrictEqual(base.calls.map(([method]) => method), ['warn', 'debug']);
+    const lines = base.calls.map(([, line]) => JSON.parse(line));
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+    assert.deepStrictEqual(lines.map(({ level, message }) => ({ level, message })), [
+      { level: 'warn', message: 'GET https://api.github.com/user?access_token=*** failed' },
+      { level: 'debug', message: 'token ***' },
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const parseDiff = require('parse-diff');
+const diffScope = require('../../lib/helpers/diffScope');
+
+// Line 3 is added, line 8 replaces old line 7 and line 20 is after both hunks
+const [diff] = parseDiff(`diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -1,3 +1,4 @@
+ const a = 1;
+ const b = 2;
++var c = 3;
+ const d = 4;
+@@ -5,5 +6,5 @@
+ function f() {
+   return a;
+-  var old = 7;
++  var e = 8;
+ }
+ module.exports = f;
+`);
+
+describe('diffScope', () => {
+  it('comments on added lines only with added', () => {
+    const lines = [2, 3, 8, 20];
+    assert.deepStrictEqual(
+      lines.map(line => diffScope(diff, line, 'added')),
+      [false, true, true, false],
+    );
+  });
+
+  it('comments on the lines shown in the diff with hunks', () => {
+    const lines = [2, 3, 5, 6, 10, 11, 20];
+    assert.deepStrictEqual(
+      lines.map(line => diffScope(diff, line, 'hunks')),
+      [true, true, false, true, true, false, false],
+    );
+  });
+
+  it('comments on any line with file', () => {
+    assert.strictEqual(diffScope(diff, 20, 'file'), true);
+  });
+
+  it('rejects an unknown scope', () => {
+    assert.throws(() => diffScope(diff, 1, 'lines'), /Unsupported scope "lines", expected one of added, hunks, file/);
+  });
+
+  describe('oldLine', () => {
+    it('maps a line that was not added to its line in the old file', () => {
+      const lines = [1, 4, 5, 7, 10, 20];
+      assert.deepStrictEqual(lines.map(line => diffScope.oldLine(diff, line)), [1, 3, 4, 6, 9, 19]);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const fingerprint = require('../../lib/helpers/fingerprint');
+
+describe('fingerprint', () => {
+  const message = {
+    path: 'client/app.js',
+    ruleId: 'semi',
+    source: 'const file = "app.js"',
+    message: 'Missing semicolon.',
+  };
+
+  it('ignores the indentation and spacing of the line', () => {
+    assert.strictEqual(
+      fingerprint({ ...message, source: '    const  file =\t"app.js"  ' }),
+      fingerprint(message),
+    );
+  });
+
+  it('tells apart messages of other paths, rules or lines', () => {
+    const fp = fingerprint(message);
+    assert.notStrictEqual(fingerprint({ ...message, path: 'server/app.js' }), fp);
+    assert.notStrictEqual(fingerprint({ ...message, ruleId: null }), fp);
+    assert.notStrictEqual(fingerprint({ ...message, source: 'const other = "app.js"' }), fp);
+  });
+
+  describe('combine', () => {
+    it('keeps the fingerprint of a single message and ignores the order of several', () => {
+      assert.strictEqual(fingerprint.combine(['a']), 'a');
+      assert.strictEqual(fingerprint.combine(['a', 'b']), fingerprint.combine(['b', 'a']));
+      assert.notStrictEqual(fingerprint.combine(['a', 'b']), fingerprint.combine(['a', 'c']));
+    });
+  });
+
+  describe('embed', () => {
+    it('is extracted and removed from the body of a comment', () => {
+      const body = fingerprint.embed('Missing semicolon.', 'd36bcca498d8b0b9d7e8-2');
+      assert.strictEqual(fingerprint.extract(body), 'd36bcca498d8b0b9d7e8-2');
+      assert.strictEqual(fingerprint.remove(body), 'Missing semicolon.');
+      assert.strictEqual(fingerprint.extract('Posted by hand'), null);
+      assert.strictEqual(fingerprint.extract(undefined), null);
+    });
+  });
+});
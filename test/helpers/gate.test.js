@@ -0,0 +1,65 @@
+const assert = require('assert');
+const lintbot = require('../..');
+const gate = require('../../lib/helpers/gate');
+const { MemoryProvider, noVarLinter, memoryLogger } = require('../support');
+
+const messages = [
+  { severity: 2, isNew: true },
+  { severity: 2, isNew: false },
+  { severity: 1, isNew: true },
+];
+
+describe('gate', () => {
+  it('has no verdict without a policy', () => {
+    assert.strictEqual(gate({ messages }), null);
+  });
+
+  it('fails above either limit', () => {
+    assert.deepStrictEqual(gate({ messages, maxErrors: 1, maxWarnings: 0 }), {
+      passed: false,
+      errors: 2,
+      warnings: 1,
+      message: '2 errors, more than the 1 allowed; 1 warning, more than the 0 allowed',
+    });
+  });
+
+  it('passes within the limits', () => {
+    assert.deepStrictEqual(gate({ messages, maxErrors: 2 }), {
+      passed: true,
+      errors: 2,
+      warnings: 1,
+      message: '2 errors and 1 warning, within the allowed limits',
+    });
+  });
+
+  it('only counts the new messages with newOnly', () => {
+    const verdict = gate({ messages, maxErrors: 0, newOnly: true });
+    assert.strictEqual(verdict.errors, 1);
+    assert.strictEqual(verdict.message, '1 new error, more than the 0 allowed');
+  });
+
+  it('sets the exit code and the verdict of the provider', async () => {
+    const run = async (maxWarnings) => {
+      const provider = new MemoryProvider({ files: { 'app.js': 'var a = 1;\n' } });
+      provider.setVerdict = async (verdict) => {
+        provider.verdict = verdict;
+      };
+      const result = await lintbot.run({
+        provider,
+        linters: [noVarLinter],
+        summary: false,
+        maxWarnings,
+        logger: memoryLogger(),
+      });
+      return { exitCode: result.exitCode, verdict: provider.verdict };
+    };
+
+    const failed = await run(0);
+    assert.strictEqual(failed.exitCode, 1);
+    assert.strictEqual(failed.verdict.passed, false);
+
+    const passed = await run(1);
+    assert.strictEqual(passed.exitCode, 0);
+    assert.strictEqual(passed.verdict.passed, true);
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const jwt = require('../../lib/helpers/jwt');
+
+const decode = part => JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+
+describe('jwt', () => {
+  it('signs the claims with RS256 in base64url', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    const payload = { iss: 42, iat: 1560000000, exp: 1560000600 };
+
+    const token = jwt(payload, privateKey);
+    assert.ok(/^[\w-]+\.[\w-]+\.[\w-]+$/.test(token));
+
+    const [header, body, signature] = token.split('.');
+    assert.deepStrictEqual(decode(header), { alg: 'RS256', typ: 'JWT' });
+    assert.deepStrictEqual(decode(body), payload);
+    assert.ok(crypto
+      .createVerify('RSA-SHA256')
+      .update(`${header}.${body}`)
+      .verify(publicKey, signature.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const rateLimit = require('../../lib/helpers/rateLimit');
+const FetchParallel = require('../../lib/helpers/FetchParallel');
+const FetchError = require('../../lib/errors/FetchError');
+
+const NOW = Date.UTC(2020, 0, 1);
+const fetchError = (status, headers = {}) => new FetchError(new Response('', { status, headers }));
+
+describe('rateLimit', () => {
+  it('reads Retry-After in seconds or as a date', () => {
+    assert.strictEqual(rateLimit(fetchError(503, { 'Retry-After': '42' }), NOW), 42000);
+    assert.strictEqual(
+      rateLimit(fetchError(429, { 'Retry-After': new Date(NOW + 5000).toUTCString() }), NOW),
+      5000,
+    );
+    assert.strictEqual(
+      rateLimit(fetchError(429, { 'Retry-After': new Date(NOW - 5000).toUTCString() }), NOW),
+      0,
+    );
+  });
+
+  it('reads the reset of GitHub in epoch seconds and of GitLab in seconds once none remain', () => {
+    assert.strictEqual(rateLimit(fetchError(403, {
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': String(NOW / 1000 + 60),
+    }), NOW), 60000);
+    assert.strictEqual(rateLimit(fetchError(429, {
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '30',
+    }), NOW), 30000);
+    assert.strictEqual(rateLimit(fetchError(403, {
+      'X-RateLimit-Remaining': '10',
+      'X-RateLimit-Reset': String(NOW / 1000 + 60),
+    }), NOW), null);
+  });
+
+  it('backs off a 429 without a hint and ignores other errors', () => {
+    assert.strictEqual(rateLimit(fetchError(429), NOW), 0);
+    assert.strictEqual(rateLimit(fetchError(500), NOW), null);
+    assert.strictEqual(rateLimit(new Error('socket hang up'), NOW), null);
+    assert.strictEqual(rateLimit(undefined, NOW), null);
+  });
+
+  describe('FetchParallel', () => {
+    it('pauses every job while a request is rate limited', async () => {
+      const dispatcher = new FetchParallel({ limit: 2, retryDelayMs: 1, shouldRetry: () => false });
+      const pauses = [];
+      const starts = [];
+      dispatcher.on('pause', ms => pauses.push(ms));
+      dispatcher.on('start', job => starts.push(job.name));
+
+      let attempts = 0;
+      dispatcher.add(async () => {
+        attempts += 1;
+        if (attempts === 1) {
+          throw fetchError(429, { 'Retry-After': '0' });
+        }
+        return 'limited';
+      }, { name: 'limited' });
+      dispatcher.add(async () => 'other', { name: 'other' });
+      dispatcher.add(async () => 'waiting', { name: 'waiting' });
+
+      const results = await dispatcher.yield();
+      assert.deepStrictEqual(results.map(r => r.result), ['limited', 'other', 'waiting']);
+      assert.strictEqual(pauses.length, 1);
+      assert.strictEqual(starts.filter(name => name === 'limited').length, 2);
+    });
+
+    it('fails a job that would wait longer than maxRateLimitWaitMs', async () => {
+      const dispatcher = new FetchParallel({ limit: 1, maxRateLimitWaitMs: 1000 });
+      dispatcher.add(async () => {
+        throw fetchError(429, { 'Retry-After': '60' });
+      }, { name: 'limited' });
+
+      await assert.rejects(dispatcher.yield(), err => err.errors.length === 1
+        && err.errors[0].message === 'Job limited failed after 1 attempts: HTTP request response 429 Too Many Requests');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const ruleUrl = require('../../lib/helpers/ruleUrl');
+
+const patterns = {
+  eslint: 'https://eslint.org/docs/rules/{{rule}}',
+  react: 'https://github.com/jsx-eslint/eslint-plugin-react/blob/master/docs/rules/{{rule}}.md',
+  '@typescript-eslint': 'https://typescript-eslint.io/rules/{{rule}}',
+  stylelint: 'https://stylelint.io/user-guide/rules/{{ruleId}}?from={{linter}}',
+};
+
+describe('ruleUrl', () => {
+  it('picks the pattern of the plugin prefix of the rule', () => {
+    assert.strictEqual(
+      ruleUrl('react/jsx-key', 'eslint', patterns),
+      'https://github.com/jsx-eslint/eslint-plugin-react/blob/master/docs/rules/jsx-key.md',
+    );
+    assert.strictEqual(
+      ruleUrl('@typescript-eslint/no-unused-vars', 'eslint', patterns),
+      'https://typescript-eslint.io/rules/no-unused-vars',
+    );
+  });
+
+  it('picks the pattern of the linter for rules without a prefix', () => {
+    assert.strictEqual(ruleUrl('semi', 'eslint', patterns), 'https://eslint.org/docs/rules/semi');
+    assert.strictEqual(
+      ruleUrl('block-no-empty', 'stylelint', patterns),
+      'https://stylelint.io/user-guide/rules/block-no-empty?from=stylelint',
+    );
+  });
+
+  it('is null without a rule or a pattern', () => {
+    assert.strictEqual(ruleUrl(null, 'eslint', patterns), null);
+    assert.strictEqual(ruleUrl('import/no-cycle', 'eslint', patterns), null);
+    assert.strictEqual(ruleUrl('TS2322', 'typescript', patterns), null);
+  });
+});
@@ -0,0 +1,22 @@
+const assert = require('assert');
+const template = require('../../lib/helpers/template');
+
+describe('template', () => {
+  it('replaces the placeholders, with or without spaces around the name', () => {
+    assert.strictEqual(
+      template('{{emoji}} **Lint {{ label }}** {{message}}', {
+        emoji: ':warning:',
+        label: 'Warning',
+        message: 'Missing semicolon.',
+      }),
+      ':warning: **Lint Warning** Missing semicolon.',
+    );
+  });
+
+  it('leaves the placeholders without a value empty and keeps falsy values', () => {
+    assert.strictEqual(
+      template('{{path}}:{{line}} {{ruleId}}{{ruleUrl}}', { path: 'app.js', line: 0, ruleId: null }),
+      'app.js:0 ',
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const lintbot = require('../..');
+const codeQualityReport = require('../../lib/lint/codeQuality');
+const {
+  MemoryProvider,
+  noVarLinter,
+  memoryLogger,
+  tmpDir,
+  removeDir,
+} = require('../support');
+
+describe('codeQualityReport', () => {
+  it('names the check after the linter when the message has no rule', () => {
+    const [issue] = codeQualityReport([{
+      path: 'client/app.js',
+      line: 3,
+      severity: 1,
+      ruleId: null,
+      message: 'Parsing error.',
+      linter: 'eslint',
+      fingerprint: 'd36bcca498d8b0b9d7e8',
+    }]);
+    assert.deepStrictEqual(issue, {
+      type: 'issue',
+      check_name: 'eslint',
+      description: 'Parsing error.',
+      categories: ['Style'],
+      severity: 'minor',
+      fingerprint: 'd36bcca498d8b0b9d7e8',
+      location: { path: 'client/app.js', lines: { begin: 3 } },
+    });
+  });
+
+  it('is written with every lint message of the run', async () => {
+    const dir = tmpDir('code-quality');
+    try {
+      const codeQuality = nodePath.join(dir, 'gl-code-quality-report.json');
+      const result = await lintbot.run({
+        provider: new MemoryProvider({ files: { 'app.js': 'var a = 1;\nvar b = 2;\n' } }),
+        linters: [noVarLinter],
+        summary: false,
+        codeQuality,
+        logger: memoryLogger(),
+      });
+
+      const report = JSON.parse(fs.readFileSync(codeQuality, 'utf8'));
+      assert.deepStrictEqual(
+        report.map(issue => [issue.location.lines.begin, issue.check_name, issue.severity]),
+        [[1, 'no-var', 'minor'], [2, 'no-var', 'minor']],
+      );
+      assert.deepStrictEqual(
+        report.map(issue => issue.fingerprint),
+        result.messages.map(m => m.fingerprint),
+      );
+      assert.notStrictEqual(report[0].fingerprint, report[1].fingerprint);
+    } finally {
+      removeDir(dir);
+    }
+  });
+});
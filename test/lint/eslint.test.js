@@ -0,0 +1,131 @@
+const assert = require('assert');
+const suggestionMessage = require('../../lib/lint/eslint');
+const GitHubAPI = require('../../lib/vcp/GitHubAPI');
+const GitLabAPI = require('../../lib/vcp/GitLabAPI');
+
+describe('suggestionMessage', () => {
+  describe('combineFixes', () => {
+    it('merges the fixes of a line into one', () => {
+      assert.deepStrictEqual(
+        suggestionMessage.combineFixes('var a = 1\n', [
+          { range: [9, 9], text: ';' },
+          { range: [0, 3], text: 'const' },
+        ]),
+        { range: [0, 9], text: 'const a = 1;' },
+      );
+    });
+
+    it('leaves out the fixes that overlap and insertions at the same position', () => {
+      assert.deepStrictEqual(
+        suggestionMessage.combineFixes('var a = 1\n', [
+          { range: [0, 3], text: 'let' },
+          { range: [2, 5], text: 'x' },
+          { range: [9, 9], text: ';' },
+          { range: [9, 9], text: ',' },
+        ]),
+        { range: [0, 9], text: 'let a = 1;' },
+      );
+      assert.strictEqual(suggestionMessage.combineFixes('var a = 1\n', []), null);
+    });
+  });
+
+  it('lists the messages of a line with one suggestion', () => {
+    const file = 'var a = 1\n';
+    const message = suggestionMessage(GitHubAPI.suggestions, file, [
+      {
+        line: 1, severity: 1, ruleId: 'no-var', message: 'Unexpected var.', fix: { range: [0, 3], text: 'let' },
+      },
+      {
+        line: 1, severity: 2, ruleId: 'semi', message: 'Missing semicolon.', fix: { range: [9, 9], text: ';' },
+      },
+    ]);
+
+    assert.strictEqual(message, `- :warning: **Lint Warning** Unexpected var. \`no-var\`
+- :stop_sign: **Lint Error** Missing semicolon. \`semi\`
+
+\`\`\`suggestion
+let a = 1;
+\`\`\``);
+  });
+
+  describe('templates', () => {
+    const semi = {
+      path: 'app.js',
+      line: 1,
+      severity: 2,
+      ruleId: 'semi',
+      message: 'Missing semicolon.',
+      linter: 'eslint',
+      fix: { range: [9, 9], text: ';' },
+    };
+
+    it('links the rule to its documentation or names it when there is none', () => {
+      const linked = suggestionMessage(GitLabAPI.suggestions, 'var a = 1\n', {
+        ...semi,
+        ruleUrl: 'https://eslint.org/docs/rules/semi',
+      });
+      assert.ok(linked.endsWith('\n\n[semi](https://eslint.org/docs/rules/semi)'));
+
+      const named = suggestionMessage(GitLabAPI.suggestions, 'var a = 1\n', semi);
+      assert.ok(named.endsWith('\n\n`semi`'));
+    });
+
+    it('overrides the defaults for one severity and adds the guidance of a rule once', () => {
+      const templates = suggestionMessage.templates({
+        message: '{{emoji}} {{label}} ({{linter}}): {{message}}',
+        labels: { error: 'Fehler' },
+        fix: 'Fix:',
+        rules: { semi: 'See {{ruleLink}} in the style guide.' },
+      });
+      assert.deepStrictEqual(templates.labels, { warning: 'Warning', error: 'Fehler' });
+      assert.deepStrictEqual(templates.emoji, suggestionMessage.TEMPLATES.emoji);
+
+      const message = suggestionMessage({ codeSnippet: true }, 'var a = 1\n', [
+        semi,
+        { ...semi, severity: 1, message: 'Extra semicolon.' },
+      ], templates);
+      assert.strictEqual(message, `- :stop_sign: Fehler (eslint): Missing semicolon. \`semi\`
+- :warning: Warning (eslint): Extra semicolon. \`semi\`
+
+Fix:
+
+\`\`\`
+var a = 1;
+\`\`\`
+
+See \`semi\` in the style guide.`);
+    });
+  });
+
+  describe('multi-line fixes', () => {
+    // The fix joins lines 2 and 3, the comment is on line 2
+    const file = 'const a = [\n  1,\n  2,\n];\n';
+    const messages = [{
+      line: 2, severity: 1, ruleId: 'array-element-newline', message: 'Unexpected line break.', fix: { range: [16, 19], text: ' ' },
+    }];
+
+    it('tells the lines a fix replaces', () => {
+      assert.deepStrictEqual(suggestionMessage.fixedSource(file, messages[0].fix), {
+        suggestion: '  1, 2,',
+        newLinesPreFix: 1,
+        startLine: 2,
+        endLine: 3,
+      });
+    });
+
+    it('suggests the fixed lines when the comment spans them', () => {
+      const message = suggestionMessage(GitHubAPI.suggestions, file, messages);
+      assert.ok(message.includes('```suggestion\n  1, 2,\n```'));
+    });
+
+    it('gives the lines a suggestion replaces relative to the comment', () => {
+      const message = suggestionMessage(GitLabAPI.suggestions, file, messages);
+      assert.ok(message.includes('```suggestion:-0+1\n  1, 2,\n```'));
+    });
+
+    it('leaves out fixes of several lines when the provider only replaces one', () => {
+      const message = suggestionMessage({ suggestionSnippet: true }, file, messages);
+      assert.ok(!message.includes('```'));
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const runReport = require('../../lib/lint/runReport');
+const FetchError = require('../../lib/errors/FetchError');
+
+const startedAt = Date.parse('2019-05-04T21:14:09.201Z');
+
+describe('runReport', () => {
+  it('reports the messages by path and line and the jobs with their status', () => {
+    const failure = new FetchError({
+      status: 401,
+      statusText: 'Unauthorized',
+      url: 'https://api.github.com/user?access_token=ghp_16C7e42F',
+      headers: { Authorization: 'token ghp_16C7e42F' },
+    });
+    const jobError = new Error('suggestChange failed');
+    jobError.cause = failure;
+
+    const report = runReport({
+      provider: 'github',
+      startedAt,
+      finishedAt: startedAt + 3000,
+      exitCode: 1,
+      verdict: null,
+      messages: [{
+        message: {
+          path: 'b.js', line: 1, ruleId: 'semi', fix: { range: [0, 1], text: ';' },
+        },
+        status: 'failed',
+        job: 2,
+      }, {
+        message: { path: 'a.js', line: 3, ruleId: 'no-var' },
+        status: 'skipped',
+        reason: 'scope',
+      }, {
+        message: { path: 'a.js', line: 1, ruleId: 'semi' },
+        status: 'posted',
+        job: 1,
+      }],
+      deleted: [{ id: 549, fingerprint: 'd36bcca498d8b0b9d7e8' }],
+      resolved: [],
+      jobs: [
+        {
+          id: 1, name: 'suggestChange a.js:1', retry: 1, startedAt, finishedAt: startedAt + 100,
+        },
+        {
+          id: 2, name: 'suggestChange b.js:1', retry: 3, startedAt, finishedAt: startedAt + 200, error: jobError,
+        },
+        {
+          id: 3, name: 'fetchFile c.js', retry: 1, startedAt: startedAt + 1000,
+        },
+      ],
+      errors: [new Error('Bad credentials ghp_16C7e42F')],
+      secrets: ['ghp_16C7e42F'],
+    });
+
+    assert.strictEqual(report.startedAt, '2019-05-04T21:14:09.201Z');
+    assert.strictEqual(report.durationMs, 3000);
+    assert.deepStrictEqual(report.messages, [
+      {
+        path: 'a.js', line: 1, ruleId: 'semi', status: 'posted', job: 1,
+      },
+      {
+        path: 'a.js', line: 3, ruleId: 'no-var', status: 'skipped', reason: 'scope',
+      },
+      {
+        path: 'b.js', line: 1, ruleId: 'semi', status: 'failed', job: 2,
+      },
+    ]);
+    assert.deepStrictEqual(report.jobs.map(j => [j.id, j.status, j.attempts, j.durationMs]), [
+      [1, 'succeeded', 1, 100],
+      [2, 'failed', 3, 200],
+      [3, 'cancelled', 1, 2000],
+    ]);
+    assert.strictEqual(report.jobs[1].error.status, 401);
+    assert.strictEqual(report.jobs[1].error.url, 'https://api.github.com/user?access_token=***');
+    assert.deepStrictEqual(report.errors, ['Bad credentials ***']);
+    assert.ok(!JSON.stringify(report).includes('ghp_16C7e42F'));
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const summaryMessage = require('../../lib/lint/summary');
+const eslintMessage = require('../../lib/lint/eslint');
+
+const messages = [
+  {
+    path: 'client/app.js', line: 1, severity: 2, ruleId: 'semi', message: 'Missing semicolon.',
+  },
+  {
+    path: 'client/app.js', line: 4, severity: 1, ruleId: 'no-var', message: 'Unexpected var.',
+  },
+  {
+    path: 'server/index.js', line: 2, severity: 2, ruleId: 'semi', message: 'Missing semicolon.',
+  },
+  {
+    path: 'server/index.js', line: 9, severity: 1, ruleId: null, message: 'Parsing error.',
+  },
+];
+
+describe('summaryMessage', () => {
+  it('counts errors and warnings by rule and by file', () => {
+    const summary = summaryMessage({ messages });
+
+    assert.ok(summary.startsWith('### Lint summary\n\n:stop_sign: **2 errors** :warning: **2 warnings**'));
+    assert.ok(summary.includes(`| Rule | Errors | Warnings |
+|-|-|-|
+| \`semi\` | 2 | 0 |
+| \`(no rule)\` | 0 | 1 |
+| \`no-var\` | 0 | 1 |`));
+    assert.ok(summary.includes(`| File | Errors | Warnings |
+|-|-|-|
+| \`client/app.js\` | 1 | 1 |
+| \`server/index.js\` | 1 | 1 |`));
+  });
+
+  it('lists what was not commented inline and the verdict', () => {
+    const summary = summaryMessage({
+      messages,
+      skipped: { scope: 1, diff: 0, baseline: 2 },
+      scope: 'added',
+      overflow: [messages[1]],
+      verdict: { passed: false, message: '2 errors, at most 0 allowed' },
+      templates: eslintMessage.templates({ emoji: { warning: ':eyes:' } }),
+    });
+
+    assert.ok(summary.includes(':x: **Merge policy failed** 2 errors, at most 0 allowed'));
+    assert.ok(summary.includes(`Not commented inline:
+- 1 message outside of the \`added\` scope
+- 2 messages that existed before, not counted above`));
+    assert.ok(!summary.includes('outside of the diff'));
+    assert.ok(summary.includes(`<summary>1 message above the limit of inline comments</summary>
+
+- \`client/app.js:4\` :eyes: Unexpected var. (\`no-var\`)`));
+  });
+
+  it('has no tables without messages', () => {
+    assert.strictEqual(
+      summaryMessage({ messages: [], verdict: { passed: true, message: 'no errors' } }),
+      `### Lint summary
+
+:white_check_mark: No lint errors or warnings
+
+:white_check_mark: **Merge policy passed** no errors`,
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const ReportLinter = require('../../lib/linters/ReportLinter');
+const { tmpDir, removeDir } = require('../support');
+
+describe('ReportLinter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tmpDir('report');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const writeReport = (messages) => {
+    const report = nodePath.join(dir, 'eslint.json');
+    fs.writeFileSync(report, JSON.stringify(messages));
+    return report;
+  };
+
+  it('matches the paths of the report exactly from the root', () => {
+    const report = writeReport([{
+      filePath: nodePath.join(dir, 'client', 'src', 'util.js'),
+      messages: [{
+        line: 1, column: 1, severity: 2, ruleId: 'semi', message: 'Missing semicolon.',
+      }],
+    }]);
+    const linter = new ReportLinter({ report, cwd: nodePath.join(dir, 'client'), root: dir });
+
+    assert.strictEqual(linter.lintsPath('client/src/util.js'), true);
+    assert.strictEqual(linter.lintsPath('src/util.js'), false);
+    assert.strictEqual(linter.lintsPath('pkg/client/src/util.js'), false);
+  });
+
+  it('resolves relative and file:// paths from cwd', () => {
+    assert.strictEqual(ReportLinter.relativePath('src/app.js', '/repo/client', '/repo'), 'client/src/app.js');
+    assert.strictEqual(ReportLinter.relativePath('file:///repo/my%20app.js', '/repo', '/repo'), 'my app.js');
+  });
+
+  it('turns fixes by line and column into offsets of the file', async () => {
+    const report = nodePath.join(dir, 'report.sarif');
+    fs.writeFileSync(report, JSON.stringify({
+      runs: [{
+        results: [{
+          message: { text: 'Missing semicolon.' },
+          locations: [{
+            physicalLocation: { artifactLocation: { uri: 'app.js' }, region: { startLine: 2 } },
+          }],
+          fixes: [{
+            artifactChanges: [{
+              replacements: [{
+                deletedRegion: { startLine: 2, startColumn: 10 },
+                insertedContent: { text: ';' },
+              }],
+            }],
+          }],
+        }],
+      }],
+    }));
+    const linter = new ReportLinter({ report, cwd: dir, root: dir });
+
+    const [message] = await linter.lint('const a = 1;\nconst b = 2\n', 'app.js');
+    assert.deepStrictEqual(message.fix, { range: [22, 22], text: ';' });
+  });
+});
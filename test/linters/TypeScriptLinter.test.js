@@ -0,0 +1,60 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const typescript = require('typescript');
+const TypeScriptLinter = require('../../lib/linters/TypeScriptLinter');
+const { tmpDir, removeDir } = require('../support');
+
+describe('TypeScriptLinter', () => {
+  let dir;
+  let linter;
+
+  beforeEach(() => {
+    dir = tmpDir('typescript');
+    const configFile = nodePath.join(dir, 'tsconfig.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      compilerOptions: { strict: true, noEmit: true },
+      files: [],
+    }));
+    linter = new TypeScriptLinter({ typescript, configFile });
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('type checks the files of the pull request against each other', async () => {
+    await linter.lint('export const value: string = "a";\n', nodePath.join(dir, 'lib.ts'));
+
+    const messages = await linter.lint(
+      'import { value } from "./lib";\nexport const n: number = value;\n',
+      nodePath.join(dir, 'app.ts'),
+    );
+    assert.deepStrictEqual(messages.map(m => [m.line, m.ruleId]), [[2, 'TS2322']]);
+  });
+
+  it('keeps type checking against the file after the change once the file before it is linted', async () => {
+    const libPath = nodePath.join(dir, 'lib.ts');
+    const appPath = nodePath.join(dir, 'app.ts');
+    const app = 'import { value } from "./lib";\nexport const n: number = value;\n';
+
+    assert.deepStrictEqual(await linter.lint('export const value: number = 1;\n', libPath), []);
+    const baseMessages = await linter.lintBase('export const value: string = 1;\n', libPath);
+    assert.deepStrictEqual(baseMessages.map(m => m.ruleId), ['TS2322']);
+
+    assert.deepStrictEqual(await linter.lint(app, appPath), []);
+  });
+
+  it('forgets the file before the change of a file it has not linted', async () => {
+    const libPath = nodePath.join(dir, 'lib.ts');
+    fs.writeFileSync(libPath, 'export const value: number = 1;\n');
+
+    await linter.lintBase('export const value: string = "a";\n', libPath);
+
+    const messages = await linter.lint(
+      'import { value } from "./lib";\nexport const n: number = value;\n',
+      nodePath.join(dir, 'app.ts'),
+    );
+    assert.deepStrictEqual(messages, []);
+  });
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const parseCheckstyleReport = require('../../lib/reports/checkstyle');
+
+describe('parseCheckstyleReport', () => {
+  it('reads the errors of every file as written by ESLint', () => {
+    const report = `<?xml version="1.0" encoding="utf-8"?><checkstyle version="4.3">
+<file name="/repo/src/app.js"><error line="1" column="11" severity="error" message="Missing semicolon. (semi)" source="eslint.rules.semi" /></file>
+<file name="/repo/src/empty.js"/>
+<file name="/repo/src/util.js"><error line="2" column="1" severity="warning" message="Unexpected &quot;var&quot;. (no-var)" source="eslint.rules.no-var" /></file>
+</checkstyle>`;
+    assert.deepStrictEqual(parseCheckstyleReport(report), [{
+      path: '/repo/src/app.js',
+      line: 1,
+      column: 11,
+      severity: 2,
+      ruleId: 'semi',
+      message: 'Missing semicolon.',
+    }, {
+      path: '/repo/src/util.js',
+      line: 2,
+      column: 1,
+      severity: 1,
+      ruleId: 'no-var',
+      message: 'Unexpected "var".',
+    }]);
+  });
+
+  it('reads errors without a message, line or severity', () => {
+    const report = `<checkstyle><file name="a.java">
+<error source="com.puppycrawl.Indentation"/><error/>
+</file></checkstyle>`;
+    const messages = parseCheckstyleReport(report);
+    assert.deepStrictEqual(messages.map(m => [m.line, m.severity, m.message]), [
+      [1, 2, 'com.puppycrawl.Indentation'],
+      [1, 2, 'Checkstyle error'],
+    ]);
+  });
+});
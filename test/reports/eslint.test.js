@@ -0,0 +1,41 @@
+const assert = require('assert');
+const parseESLintReport = require('../../lib/reports/eslint');
+
+describe('parseESLintReport', () => {
+  it('reads the messages of every file with their fixes', () => {
+    const report = JSON.stringify([{
+      filePath: '/repo/src/app.js',
+      messages: [{
+        line: 1,
+        column: 11,
+        severity: 2,
+        ruleId: 'semi',
+        message: 'Missing semicolon.',
+        fix: { range: [10, 10], text: ';' },
+      }, {
+        severity: 2,
+        ruleId: null,
+        message: 'Parsing error: Unexpected token',
+      }],
+    }, {
+      filePath: '/repo/src/clean.js',
+      messages: [],
+    }]);
+    assert.deepStrictEqual(parseESLintReport(report), [{
+      path: '/repo/src/app.js',
+      line: 1,
+      column: 11,
+      severity: 2,
+      ruleId: 'semi',
+      message: 'Missing semicolon.',
+      fix: { range: [10, 10], text: ';' },
+    }, {
+      path: '/repo/src/app.js',
+      line: 1,
+      column: 1,
+      severity: 2,
+      ruleId: null,
+      message: 'Parsing error: Unexpected token',
+    }]);
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const parseSarifReport = require('../../lib/reports/sarif');
+
+const sarif = results => JSON.stringify({
+  version: '2.1.0',
+  runs: [{
+    tool: {
+      driver: {
+        name: 'semgrep',
+        rules: [{ id: 'no-eval', helpUri: 'https://semgrep.dev/r/no-eval' }],
+      },
+    },
+    originalUriBaseIds: { SRCROOT: { uri: 'file:///repo/' } },
+    results,
+  }],
+});
+
+const location = (uri, region) => ({
+  physicalLocation: { artifactLocation: { uri, uriBaseId: 'SRCROOT' }, region },
+});
+
+describe('parseSarifReport', () => {
+  it('reads the location, severity, rule and its documentation', () => {
+    assert.deepStrictEqual(parseSarifReport(sarif([{
+      ruleId: 'no-eval',
+      level: 'error',
+      message: { text: 'eval is evil.' },
+      locations: [location('src/app.js', { startLine: 3, startColumn: 5 })],
+    }])), [{
+      path: 'file:///repo/src/app.js',
+      line: 3,
+      column: 5,
+      severity: 2,
+      ruleId: 'no-eval',
+      message: 'eval is evil.',
+      ruleUrl: 'https://semgrep.dev/r/no-eval',
+    }]);
+  });
+
+  it('reads a fix that makes a single replacement', () => {
+    const [message] = parseSarifReport(sarif([{
+      ruleId: 'semi',
+      message: { text: 'Missing semicolon.' },
+      locations: [location('src/app.js', { startLine: 1, startColumn: 11 })],
+      fixes: [{
+        artifactChanges: [{
+          artifactLocation: { uri: 'src/app.js' },
+          replacements: [{
+            deletedRegion: { startLine: 1, startColumn: 11 },
+            insertedContent: { text: ';' },
+          }],
+        }],
+      }],
+    }]));
+    assert.deepStrictEqual(message.fix, {
+      region: {
+        startLine: 1,
+        startColumn: 11,
+        endLine: 1,
+        endColumn: 11,
+      },
+      text: ';',
+    });
+  });
+
+  it('leaves out fixes that cannot be applied', () => {
+    const messages = parseSarifReport(sarif([{}, { artifactChanges: [] }, {
+      artifactChanges: [{ artifactLocation: { uri: 'src/app.js' } }],
+    }, {
+      artifactChanges: [{ replacements: [{ insertedContent: { text: ';' } }] }],
+    }].map(fix => ({
+      message: { text: 'Missing semicolon.' },
+      locations: [location('src/app.js', { startLine: 1 })],
+      fixes: [fix],
+    }))));
+    assert.strictEqual(messages.length, 4);
+    messages.forEach(message => assert.strictEqual(message.fix, undefined));
+  });
+
+  it('leaves out results that are not in a file', () => {
+    const messages = parseSarifReport(sarif([{
+      message: { text: 'No location.' },
+    }, {
+      message: { text: 'Logical location only.' },
+      locations: [{ logicalLocations: [{ fullyQualifiedName: 'app.main' }] }],
+    }, {
+      message: { text: 'Logical location first.' },
+      locations: [
+        { logicalLocations: [{ fullyQualifiedName: 'app.main' }] },
+        location('src/app.js', { startLine: 2 }),
+      ],
+    }, {
+      level: 'none',
+      message: { text: 'Not a problem.' },
+      locations: [location('src/app.js', { startLine: 4 })],
+    }]));
+    assert.deepStrictEqual(messages.map(m => `${m.line} ${m.message}`), ['2 Logical location first.']);
+  });
+});
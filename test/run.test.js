@@ -0,0 +1,327 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const lintbot = require('..');
+const ConfigError = require('../lib/errors/ConfigError');
+const {
+  MemoryProvider,
+  noVarLinter,
+  memoryLogger,
+  tmpDir,
+  removeDir,
+  git,
+  writeFiles,
+} = require('./support');
+
+describe('lintbot.run', () => {
+  it('returns what it did without reading the command line', async () => {
+    const { argv } = process;
+    process.argv = ['node', 'lintbot.js', 'gitlab', '--max-errors', 'nope'];
+    try {
+      const provider = new MemoryProvider({ files: { 'app.js': 'var a = 1;\n' } });
+      const result = await lintbot.run({
+        provider,
+        linters: [noVarLinter],
+        summary: false,
+        logger: memoryLogger(),
+      });
+
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(result.messages.map(m => `${m.path}:${m.line} ${m.ruleId}`), ['app.js:1 no-var']);
+      assert.deepStrictEqual(provider.posted.map(s => s.path), ['app.js']);
+    } finally {
+      process.argv = argv;
+    }
+  });
+
+  it('comments with plain markdown for a provider that declares no suggestions', async () => {
+    const provider = new MemoryProvider({
+      files: { 'app.js': 'var a = 1;\n' },
+      diff: 'diff --git a/app.js b/app.js\n--- /dev/null\n+++ b/app.js\n@@ -0,0 +1 @@\n+var a = 1;\n',
+    });
+    const result = await lintbot.run({
+      provider,
+      linters: [noVarLinter],
+      summary: false,
+      logger: memoryLogger(),
+    });
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(provider.posted.map(s => `${s.path}:${s.line}`), ['app.js:1']);
+    assert.ok(provider.posted[0].message.includes('Unexpected var'));
+    assert.ok(!provider.posted[0].message.includes('```suggestion'));
+  });
+
+  it('rejects a provider instance without the required methods before it starts', async () => {
+    const provider = new MemoryProvider();
+    provider.suggestChange = undefined;
+    provider.fetchFile = undefined;
+
+    await assert.rejects(
+      lintbot.run({ provider, linters: [noVarLinter], logger: memoryLogger() }),
+      /MemoryProvider is missing fetchFile, suggestChange/,
+    );
+  });
+
+  it('comments once per line, errors first up to maxComments', async () => {
+    const semiLinter = {
+      name: 'semi',
+      extensions: ['.js'],
+      async lint(file) {
+        return file.split('\n')
+          .map((source, i) => ({ source, line: i + 1 }))
+          .filter(({ source }) => source.startsWith('var b'))
+          .map(({ line }) => ({
+            line,
+            column: 10,
+            severity: 2,
+            ruleId: 'semi',
+            message: 'Missing semicolon.',
+          }));
+      },
+    };
+    const provider = new MemoryProvider({ files: { 'app.js': 'var a = 1;\nvar b = 2\nvar c = 3;\n' } });
+    const result = await lintbot.run({
+      provider,
+      linters: [noVarLinter, semiLinter],
+      summary: false,
+      maxComments: 2,
+      logger: memoryLogger(),
+    });
+
+    assert.deepStrictEqual(provider.posted.map(s => [s.line, s.ruleId]), [[2, 'no-var, semi'], [1, 'no-var']]);
+    assert.deepStrictEqual(result.overflow.map(m => m.line), [3]);
+    assert.deepStrictEqual(result.skipped, []);
+  });
+
+  it('keeps the comments that are still valid and removes or resolves the others', async () => {
+    const firstRun = new MemoryProvider({ files: { 'app.js': 'var a = 1;\nvar b = 2;\nvar c = 3;\n' } });
+    await lintbot.run({
+      provider: firstRun,
+      linters: [noVarLinter],
+      summary: false,
+      logger: memoryLogger(),
+    });
+
+    const [a, b, c] = firstRun.posted;
+    const provider = new MemoryProvider({
+      files: { 'app.js': '// a is fixed\nlet a = 1;\nvar b = 2;\nlet c = 3;\nvar d = 4;\n' },
+      comments: [
+        { id: 1, body: a.message, hasReplies: false },
+        { id: 2, body: b.message, hasReplies: false },
+        { id: 3, body: c.message, hasReplies: true },
+        { id: 4, body: 'Posted before fingerprints', hasReplies: false },
+      ],
+    });
+    const result = await lintbot.run({
+      provider,
+      linters: [noVarLinter],
+      summary: false,
+      logger: memoryLogger(),
+    });
+
+    assert.deepStrictEqual(result.kept.map(s => s.line), [3]);
+    assert.deepStrictEqual(provider.posted.map(s => s.line), [5]);
+    assert.deepStrictEqual(provider.deleted.sort(), [1, 4]);
+    assert.deepStrictEqual(provider.resolved, [3]);
+  });
+
+  it('keeps the comments of a previous run above maxComments instead of taking them for fixed', async () => {
+    const files = { 'a.js': 'var a = 1;\n', 'b.js': 'var b = 1;\n', 'c.js': 'var c = 1;\n' };
+    const firstRun = new MemoryProvider({ files: { 'b.js': files['b.js'], 'c.js': files['c.js'] } });
+    await lintbot.run({
+      provider: firstRun,
+      linters: [noVarLinter],
+      summary: false,
+      logger: memoryLogger(),
+    });
+
+    const provider = new MemoryProvider({
+      files,
+      comments: firstRun.posted.map((s, i) => ({ id: i + 1, body: s.message, hasReplies: true })),
+    });
+    const result = await lintbot.run({
+      provider,
+      linters: [noVarLinter],
+      summary: false,
+      maxComments: 1,
+      logger: memoryLogger(),
+    });
+
+    assert.deepStrictEqual(result.kept.map(s => s.path), ['b.js', 'c.js']);
+    assert.deepStrictEqual(result.overflow.map(m => m.path), ['a.js']);
+    assert.deepStrictEqual(provider.posted, []);
+    assert.deepStrictEqual(provider.resolved, []);
+    assert.deepStrictEqual(provider.deleted, []);
+  });
+
+  it('creates the linters given by name with their options', async () => {
+    const dir = tmpDir('linters');
+    try {
+      const configFile = nodePath.join(dir, 'tsconfig.json');
+      fs.writeFileSync(configFile, JSON.stringify({
+        compilerOptions: { strict: true },
+        files: [],
+      }));
+      const provider = new MemoryProvider({ files: { 'app.ts': 'const n: number = "1";\n' } });
+
+      const result = await lintbot.run({
+        provider,
+        linters: ['typescript'],
+        linterOptions: { typescript: { configFile } },
+        summary: false,
+        logger: memoryLogger(),
+      });
+      assert.deepStrictEqual(result.messages.map(m => `${m.linter} ${m.ruleId}`), ['typescript TS2322']);
+
+      await assert.rejects(
+        lintbot.run({ provider, linters: ['jshint'], logger: memoryLogger() }),
+        err => err instanceof ConfigError
+          && err.message.startsWith('Option "linters" in lintbot.run() must only contain'),
+      );
+      await assert.rejects(
+        lintbot.run({ provider, linters: ['stylelint'], logger: memoryLogger() }),
+        err => err instanceof ConfigError
+          && err.message === `Cannot find stylelint from ${process.cwd()}, install it with npm install --save-dev stylelint`,
+      );
+    } finally {
+      removeDir(dir);
+    }
+  });
+
+  it('reads the files from the workspace only when it is at the commit of the provider', async () => {
+    const dir = tmpDir('workspace');
+    try {
+      git(dir, 'init', '--quiet');
+      writeFiles(dir, { 'app.js': 'var a = 1;\n' });
+      git(dir, 'add', '--all');
+      git(dir, 'commit', '--quiet', '--message', 'change');
+      const headSha = git(dir, 'rev-parse', 'HEAD').trim();
+
+      const lint = async (sha) => {
+        const provider = new MemoryProvider({ files: { 'app.js': 'const a = 1;\n' } });
+        provider.getHeadSha = () => sha;
+        const logger = memoryLogger();
+        const result = await lintbot.run({
+          provider,
+          linters: [noVarLinter],
+          workspace: dir,
+          summary: false,
+          logger,
+        });
+        return { result, logger };
+      };
+
+      const atHead = await lint(headSha);
+      assert.deepStrictEqual(atHead.result.messages.map(m => m.ruleId), ['no-var']);
+
+      const elsewhere = await lint('0'.repeat(40));
+      assert.deepStrictEqual(elsewhere.result.messages, []);
+      assert.ok(elsewhere.logger.lines.some(l => l.startsWith(`Workspace ${dir} is not at`)));
+    } finally {
+      removeDir(dir);
+    }
+  });
+
+  it('writes what it did to the report file', async () => {
+    const dir = tmpDir('report');
+    try {
+      const reportFile = nodePath.join(dir, 'report.json');
+      const provider = new MemoryProvider({ files: { 'app.js': 'var a = 1;\n' } });
+      await lintbot.run({
+        provider,
+        linters: [noVarLinter],
+        reportFile,
+        summary: false,
+        logger: memoryLogger(),
+      });
+
+      const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+      assert.strictEqual(report.exitCode, 0);
+      assert.deepStrictEqual(report.messages.map(m => `${m.path}:${m.line} ${m.status}`), ['app.js:1 posted']);
+      const postJob = report.jobs.find(j => j.id === report.messages[0].job);
+      assert.strictEqual(postJob.status, 'succeeded');
+    } finally {
+      removeDir(dir);
+    }
+  });
+
+  it('links the rules with the URL patterns and rejects templates that are not strings', async () => {
+    const provider = new MemoryProvider({ files: { 'app.js': 'var a = 1;\n' } });
+    const result = await lintbot.run({
+      provider,
+      linters: [noVarLinter],
+      ruleUrls: { 'no-var': 'https://lint.example.com/{{linter}}/{{rule}}' },
+      templates: { labels: { warning: 'Hint' } },
+      summary: false,
+      logger: memoryLogger(),
+    });
+    assert.strictEqual(result.messages[0].ruleUrl, 'https://lint.example.com/no-var/no-var');
+    assert.ok(provider.posted[0].message.startsWith(':warning: **Lint Hint** Unexpected var'));
+    assert.ok(provider.posted[0].message.includes('[no-var](https://lint.example.com/no-var/no-var)'));
+
+    await assert.rejects(
+      lintbot.run({
+        provider,
+        linters: [noVarLinter],
+        templates: { labels: { warning: 1 } },
+        logger: memoryLogger(),
+      }),
+      err => err instanceof ConfigError && err.message === 'Option "templates.labels.warning" must be a string',
+    );
+    await assert.rejects(
+      lintbot.run({
+        provider,
+        linters: [noVarLinter],
+        templates: { heading: '{{message}}' },
+        logger: memoryLogger(),
+      }),
+      err => err instanceof ConfigError && err.message === 'Unknown option "templates.heading"',
+    );
+  });
+
+  describe('baselineFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = tmpDir('baseline');
+    });
+
+    afterEach(() => {
+      removeDir(dir);
+    });
+
+    const runWith = baselineFile => lintbot.run({
+      provider: new MemoryProvider({ files: { 'app.js': 'var a = 1;\nvar b = 2;\n' } }),
+      linters: [noVarLinter],
+      summary: false,
+      baselineFile,
+      logger: memoryLogger(),
+    });
+
+    it('skips the messages that the file accepts', async () => {
+      const baselineFile = nodePath.join(dir, 'eslint-suppressions.json');
+      fs.writeFileSync(baselineFile, JSON.stringify({ 'app.js': { 'no-var': { count: 2 } } }));
+
+      const result = await runWith(baselineFile);
+      assert.deepStrictEqual(result.posted, []);
+      assert.deepStrictEqual(result.skipped.map(s => s.reason), ['baseline', 'baseline']);
+    });
+
+    it('fails with a ConfigError when the file is missing or malformed', async () => {
+      const missing = nodePath.join(dir, 'missing.json');
+      await assert.rejects(runWith(missing), err => err instanceof ConfigError
+        && err.message.startsWith(`Cannot read ${missing}: ENOENT`));
+
+      const malformed = nodePath.join(dir, 'malformed.json');
+      fs.writeFileSync(malformed, '{ "app.js": ');
+      await assert.rejects(runWith(malformed), err => err instanceof ConfigError
+        && err.message.startsWith(`Cannot read ${malformed}: `));
+
+      const wrongShape = nodePath.join(dir, 'wrong-shape.json');
+      fs.writeFileSync(wrongShape, JSON.stringify({ 'app.js': { 'no-var': 2 } }));
+      await assert.rejects(runWith(wrongShape), err => err instanceof ConfigError
+        && err.message.startsWith(`${wrongShape} must map paths to rules and their count`));
+    });
+  });
+});
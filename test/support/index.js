@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const nodePath = require('path');
+const childProcess = require('child_process');
+const parseDiff = require('parse-diff');
+const { Response } = require('node-fetch');
+
+/**
+ * Flags `var` declarations, a linter that needs neither ESLint nor a configuration.
+ */
+const noVarLinter = {
+  name: 'no-var',
+  extensions: ['.js'],
+  async lint(file) {
+    const lines = file.split('\n');
+    return lines
+      .map((source, i) => ({
+        source,
+        line: i + 1,
+        offset: lines.slice(0, i).reduce((sum, l) => sum + l.length + 1, 0),
+      }))
+      .filter(({ source }) => source.startsWith('var '))
+      .map(({ line, offset }) => ({
+        line,
+        column: 1,
+        severity: 1,
+        ruleId: 'no-var',
+        message: 'Unexpected var, use let or const instead.',
+        fix: { range: [offset, offset + 3], text: 'let' },
+      }));
+  },
+};
+
+/**
+ * @returns {object} logger that keeps its lines in `lines`
+ */
+const memoryLogger = () => {
+  const lines = [];
+  const log = (...args) => lines.push(args.join(' '));
+  return {
+    lines,
+    debug: log,
+    log,
+    info: log,
+    warn: log,
+    error: log,
+  };
+};
+
+/**
+ * @param {string} prefix
+ * @returns {string} new empty directory, removed with `removeDir`
+ */
+const tmpDir = prefix => fs.mkdtempSync(nodePath.join(os.tmpdir(), `lintbot-${prefix}-`));
+
+/**
+ * @param {string} dir
+ */
+const removeDir = (dir) => {
+  childProcess.execFileSync('rm', ['-rf', dir]);
+};
+
+/**
+ * Runs git in `cwd` as a test user, whatever the git configuration of the machine.
+ *
+ * @param {string} cwd
+ * @param {...string} args
+ * @returns {string} stdout
+ */
+const git = (cwd, ...args) => childProcess.execFileSync('git', [
+  '-c', 'user.name=lintbot',
+  '-c', 'user.email=lintbot@example.com',
+  '-c', 'commit.gpgsign=false',
+  ...args,
+], { cwd, encoding: 'utf8' });
+
+/**
+ * @param {string} dir
+ * @param {object} files contents by path, `null` removes the file
+ */
+const writeFiles = (dir, files) => {
+  Object.keys(files).forEach((path) => {
+    const fullPath = nodePath.join(dir, path);
+    if (files[path] === null) {
+      fs.unlinkSync(fullPath);
+      return;
+    }
+    fs.mkdirSync(nodePath.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, files[path]);
+  });
+};
+
+/**
+ * Provider that serves files from memory and records what it is asked to do, see
+ * `lib/vcp/index.js`.
+ *
+ * @param {object} options
+ * @param {object} options.files contents by path
+ * @param {string} options.diff unified diff of the pull request, every line is in it when omitted
+ * @param {object[]} options.comments `{ id, body, hasReplies }` posted by a previous run
+ * @param {object} options.suggestions what it can render, nothing is declared when omitted
+ */
+class MemoryProvider {
+  constructor({
+    files = {},
+    diff = null,
+    comments = [],
+    suggestions,
+  } = {}) {
+    this.files = files;
+    this.diff = diff === null ? null : parseDiff(diff);
+    this.comments = comments;
+    if (suggestions) {
+      this.suggestions = suggestions;
+    }
+    this.posted = [];
+    this.deleted = [];
+    this.resolved = [];
+  }
+
+  async fetchFilePaths() {
+    return Object.keys(this.files);
+  }
+
+  async fetchFile(path) {
+    return this.files[path];
+  }
+
+  async suggestChange(path, suggestion) {
+    this.posted.push({ path, ...suggestion });
+  }
+
+  async fetchSuggestions() {
+    return this.comments;
+  }
+
+  async deleteSuggestion(id) {
+    this.deleted.push(id);
+  }
+
+  async resolveSuggestion(id) {
+    this.resolved.push(id);
+  }
+
+  getDiff(path) {
+    return this.diff ? this.diff.find(f => f.to === path) : undefined;
+  }
+
+  attachSignal(signal) {
+    this.signal = signal;
+  }
+}
+
+/**
+ * Answers the requests of a provider from `responses`, keyed by method and URL without
+ * `baseUrl`, e.g. `'GET /user'`. Objects are answered as JSON and strings as text, functions are
+ * called with the request. Other requests are answered with a 404.
+ *
+ * @param {string} baseUrl
+ * @param {object} responses
+ * @returns {function} `fetch` that keeps `{ method, path, headers, body }` of every request in
+ * `requests`
+ */
+const fakeFetch = (baseUrl, responses) => {
+  const requests = [];
+  const fetch = async (url, { method = 'GET', headers = {}, body } = {}) => {
+    let parsedBody = body || null;
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (err) {
+      // Not JSON, kept as is
+    }
+    const request = {
+      method,
+      path: url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url,
+      headers,
+      body: parsedBody,
+    };
+    requests.push(request);
+
+    let response = responses[`${request.method} ${request.path}`];
+    if (typeof response === 'function') {
+      response = response(request);
+    }
+    if (response === undefined) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response(typeof response === 'string' ? response : JSON.stringify(response));
+  };
+  fetch.requests = requests;
+  return fetch;
+};
+
+module.exports = {
+  MemoryProvider,
+  fakeFetch,
+  noVarLinter,
+  memoryLogger,
+  tmpDir,
+  removeDir,
+  git,
+  writeFiles,
+};
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const AzureDevOpsAPI = require('../../lib/vcp/AzureDevOpsAPI');
+const diffScope = require('../../lib/helpers/diffScope');
+const { memoryLogger } = require('../support');
+
+const responses = {
+  'GET /pullRequests/7': { lastMergeSourceCommit: { commitId: 'head' } },
+  'GET /pullRequests/7/iterations': {
+    value: [{ id: 1 }, { id: 2, commonRefCommit: { commitId: 'base' } }],
+  },
+  'GET /pullRequests/7/iterations/2/changes?$top=100&$skip=0': {
+    changeEntries: [
+      { changeTrackingId: 1, changeType: 'edit', item: { path: '/app.js' } },
+      { changeTrackingId: 2, changeType: 'add', item: { path: '/new.js' } },
+      {
+        changeTrackingId: 3, changeType: 'rename, edit', originalPath: '/old.js', item: { path: '/moved.js' },
+      },
+      { changeTrackingId: 4, changeType: 'delete', item: { path: '/gone.js' } },
+    ],
+    nextSkip: 0,
+  },
+  'POST /filediffs': [
+    {
+      path: '/app.js',
+      lineDiffBlocks: [
+        {
+          changeType: 'edit', originalLineNumberStart: 10, originalLinesCount: 1, modifiedLineNumberStart: 10, modifiedLinesCount: 2,
+        },
+        {
+          changeType: 'none', originalLineNumberStart: 11, originalLinesCount: 20, modifiedLineNumberStart: 12, modifiedLinesCount: 20,
+        },
+        {
+          changeType: 'delete', originalLineNumberStart: 31, originalLinesCount: 2, modifiedLineNumberStart: 32, modifiedLinesCount: 0,
+        },
+      ],
+    },
+    {
+      path: '/new.js',
+      lineDiffBlocks: [{
+        changeType: 'add', originalLineNumberStart: 1, originalLinesCount: 0, modifiedLineNumberStart: 1, modifiedLinesCount: 2,
+      }],
+    },
+    { path: '/moved.js', lineDiffBlocks: [] },
+  ],
+};
+
+describe('AzureDevOpsAPI', () => {
+  let requests;
+  let vcp;
+
+  beforeEach(() => {
+    requests = [];
+    vcp = new AzureDevOpsAPI({
+      token: 'test-token',
+      orgUrl: 'https://dev.azure.com/lintbot',
+      project: 'lintbot',
+      repo: 'lintbot',
+      prId: '7',
+      dryRun: true,
+      logger: memoryLogger(),
+      fetch: async (url, { method, body }) => {
+        const path = url
+          .replace('https://dev.azure.com/lintbot/lintbot/_apis/git/repositories/lintbot', '')
+          .replace(/[?&]api-version=[^&]*$/, '');
+        requests.push({ method, path, body: body ? JSON.parse(body) : null });
+        if (path.startsWith('/items')) {
+          return new Response(`contents of ${decodeURIComponent(path)}`);
+        }
+        return new Response(JSON.stringify(responses[`${method} ${path}`]));
+      },
+    });
+  });
+
+  describe('getDiff', () => {
+    it('compares the files with the merge base', async () => {
+      assert.deepStrictEqual(await vcp.fetchFilePaths(), ['app.js', 'new.js', 'moved.js']);
+
+      const filediffs = requests.find(r => r.path === '/filediffs');
+      assert.deepStrictEqual(filediffs.body, {
+        baseVersionCommit: 'base',
+        targetVersionCommit: 'head',
+        fileDiffParams: [
+          { path: '/app.js', originalPath: '/app.js' },
+          { path: '/new.js' },
+          { path: '/moved.js', originalPath: '/old.js' },
+        ],
+      });
+      assert.deepStrictEqual(
+        ['app.js', 'new.js', 'moved.js'].map(path => vcp.getDiff(path).from),
+        ['app.js', '/dev/null', 'old.js'],
+      );
+    });
+
+    it('tells the lines that were added from their context', async () => {
+      await vcp.fetchFilePaths();
+
+      const app = vcp.getDiff('app.js');
+      const types = [6, 7, 10, 11, 12, 14, 15, 28, 31, 34, 35]
+        .map(line => diffScope.lineType(app, line));
+      assert.deepStrictEqual(
+        types,
+        [null, 'normal', 'add', 'add', 'normal', 'normal', null, null, 'normal', 'normal', null],
+      );
+      assert.strictEqual(diffScope.oldLine(app, 20), 19);
+      assert.strictEqual(diffScope.oldLine(app, 40), 41);
+
+      const added = vcp.getDiff('new.js');
+      assert.deepStrictEqual([1, 2].map(line => diffScope.lineType(added, line)), ['add', 'add']);
+
+      assert.deepStrictEqual(vcp.getDiff('moved.js').chunks, []);
+    });
+  });
+
+  describe('fetchBaseFile', () => {
+    it('fetches the file before the change at the merge base', async () => {
+      await vcp.fetchFilePaths();
+
+      assert.strictEqual(await vcp.fetchBaseFile('new.js'), null);
+      assert.strictEqual(
+        await vcp.fetchBaseFile('moved.js'),
+        'contents of /items?path=/old.js&versionDescriptor.versionType=commit&versionDescriptor.version=base&$format=text',
+      );
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const BitbucketAPI = require('../../lib/vcp/BitbucketAPI');
+const diffScope = require('../../lib/helpers/diffScope');
+const { fakeFetch, memoryLogger } = require('../support');
+
+const BASE_URL = 'https://api.bitbucket.org/2.0';
+const PR = '/repositories/lintbot/app/pullrequests/3';
+
+const responses = {
+  [`GET ${PR}`]: { source: { commit: { hash: 'head' } } },
+  [`GET ${PR}/diff`]: `diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -1,2 +1,3 @@
+ const a = 1;
++var b = 2;
+ module.exports = a;
+`,
+  [`GET ${PR}/diffstat`]: {
+    values: [
+      { status: 'modified', new: { path: 'app.js' } },
+      { status: 'removed', old: { path: 'gone.js' }, new: null },
+    ],
+    next: `${BASE_URL}${PR}/diffstat?page=2`,
+  },
+  [`GET ${PR}/diffstat?page=2`]: { values: [{ status: 'added', new: { path: 'lib/new file.js' } }] },
+  'GET /repositories/lintbot/app/src/head/lib/new%20file.js': 'var c = 3;\n',
+  [`POST ${PR}/comments`]: { id: 12 },
+  'GET /user': { account_id: 'bot' },
+  [`GET ${PR}/comments`]: {
+    values: [
+      { id: 1, inline: { path: 'app.js', to: 2 }, user: { account_id: 'bot' } },
+      { id: 2, user: { account_id: 'bot' } },
+      { id: 3, inline: { path: 'app.js', to: 2 }, user: { account_id: 'someone' } },
+      {
+        id: 4, deleted: true, inline: { path: 'app.js', to: 2 }, user: { account_id: 'bot' },
+      },
+    ],
+  },
+};
+
+describe('BitbucketAPI', () => {
+  let fetch;
+  const create = options => new BitbucketAPI({
+    username: 'lintbot',
+    token: 'app-password',
+    repo: 'lintbot/app',
+    prId: '3',
+    logger: memoryLogger(),
+    fetch,
+    ...options,
+  });
+
+  beforeEach(() => {
+    fetch = fakeFetch(BASE_URL, responses);
+  });
+
+  it('lists the files the pull request did not remove across pages', async () => {
+    const vcp = create();
+    assert.deepStrictEqual(await vcp.fetchFilePaths(), ['app.js', 'lib/new file.js']);
+    assert.strictEqual(vcp.getHeadSha(), 'head');
+    assert.strictEqual(diffScope.lineType(vcp.getDiff('app.js'), 2), 'add');
+    assert.strictEqual(await vcp.fetchFile('lib/new file.js'), 'var c = 3;\n');
+  });
+
+  it('comments on the line of the new file', async () => {
+    const vcp = create();
+    await vcp.suggestChange('app.js', { line: 2, message: 'Unexpected var' });
+
+    const { method, body } = fetch.requests[0];
+    assert.strictEqual(method, 'POST');
+    assert.deepStrictEqual(body, { content: { raw: 'Unexpected var' }, inline: { path: 'app.js', to: 2 } });
+  });
+
+  it('only removes the inline comments of its own user', async () => {
+    assert.deepStrictEqual(await create().fetchSuggestionIds(), [1]);
+  });
+
+  it('only reads in a dry run', async () => {
+    const vcp = create({ dryRun: true });
+    await vcp.suggestChange('app.js', { line: 2, message: 'Unexpected var' });
+    await vcp.deleteSuggestion(1);
+    assert.deepStrictEqual(fetch.requests, []);
+  });
+});
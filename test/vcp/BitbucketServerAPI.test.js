@@ -0,0 +1,101 @@
+const assert = require('assert');
+const BitbucketServerAPI = require('../../lib/vcp/BitbucketServerAPI');
+const diffScope = require('../../lib/helpers/diffScope');
+const { fakeFetch, memoryLogger } = require('../support');
+
+const BASE_URL = 'https://bitbucket.example.com/rest/api/1.0/projects/LB/repos/app';
+
+const responses = {
+  'GET /pull-requests/3': { fromRef: { latestCommit: 'head' } },
+  'GET /pull-requests/3/diff?withComments=false': {
+    diffs: [
+      {
+        source: { toString: 'app.js' },
+        destination: { toString: 'app.js' },
+        hunks: [{
+          sourceLine: 1,
+          sourceSpan: 2,
+          destinationLine: 1,
+          destinationSpan: 2,
+          segments: [
+            { type: 'CONTEXT', lines: [{ source: 1, destination: 1 }] },
+            { type: 'REMOVED', lines: [{ source: 2, destination: 2 }] },
+            { type: 'ADDED', lines: [{ source: 2, destination: 2 }] },
+          ],
+        }],
+      },
+      { source: { toString: 'gone.js' }, destination: null },
+      { source: null, destination: { toString: 'new.js' }, hunks: [] },
+    ],
+  },
+  'POST /pull-requests/3/comments': { id: 549 },
+  'GET /pull-requests/3/activities?start=0': {
+    values: [
+      {
+        action: 'COMMENTED', commentAction: 'ADDED', commentAnchor: {}, comment: { id: 1, version: 0, author: { name: 'lintbot' } },
+      },
+      {
+        action: 'COMMENTED', commentAction: 'ADDED', commentAnchor: {}, comment: { id: 2, version: 1, author: { name: 'lintbot' } },
+      },
+      { action: 'APPROVED' },
+    ],
+    isLastPage: false,
+    nextPageStart: 3,
+  },
+  'GET /pull-requests/3/activities?start=3': {
+    values: [
+      {
+        action: 'COMMENTED', commentAction: 'DELETED', commentAnchor: {}, comment: { id: 2, author: { name: 'lintbot' } },
+      },
+      {
+        action: 'COMMENTED', commentAction: 'ADDED', comment: { id: 3, version: 0, author: { name: 'lintbot' } },
+      },
+      {
+        action: 'COMMENTED', commentAction: 'ADDED', commentAnchor: {}, comment: { id: 4, version: 0, author: { name: 'someone' } },
+      },
+    ],
+    isLastPage: true,
+  },
+};
+
+describe('BitbucketServerAPI', () => {
+  let fetch;
+  let vcp;
+
+  beforeEach(() => {
+    fetch = fakeFetch(BASE_URL, responses);
+    vcp = new BitbucketServerAPI({
+      baseUrl: 'https://bitbucket.example.com',
+      username: 'lintbot',
+      token: 'token',
+      project: 'LB',
+      repo: 'app',
+      prId: '3',
+      logger: memoryLogger(),
+      fetch,
+    });
+  });
+
+  it('converts the diff of the files the pull request did not remove', async () => {
+    assert.deepStrictEqual(await vcp.fetchFilePaths(), ['app.js', 'new.js']);
+
+    const diff = vcp.getDiff('app.js');
+    assert.deepStrictEqual([1, 2, 3].map(line => diffScope.lineType(diff, line)), ['normal', 'add', null]);
+    assert.strictEqual(vcp.getDiff('new.js').from, '/dev/null');
+  });
+
+  it('anchors a comment to an added or a context line', async () => {
+    await vcp.fetchFilePaths();
+    await vcp.suggestChange('app.js', { line: 2, message: 'Unexpected var' });
+    await vcp.suggestChange('app.js', { line: 1, message: 'Missing semicolon' });
+
+    const anchors = fetch.requests
+      .filter(r => r.method === 'POST')
+      .map(r => [r.body.anchor.line, r.body.anchor.lineType]);
+    assert.deepStrictEqual(anchors, [[2, 'ADDED'], [1, 'CONTEXT']]);
+  });
+
+  it('only removes the comments of its own user that are anchored and not deleted', async () => {
+    assert.deepStrictEqual(await vcp.fetchSuggestionIds(), [[1, 0]]);
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const nodePath = require('path');
+const parseDiff = require('parse-diff');
+const { Response } = require('node-fetch');
+const lintbot = require('../..');
+const GitHubAPI = require('../../lib/vcp/GitHubAPI');
+const { noVarLinter, memoryLogger, fakeFetch } = require('../support');
+
+const CASSETTE = nodePath.join(__dirname, '..', 'cassettes', 'github-retry-pagination.json');
+
+describe('GitHubAPI', () => {
+  it('retries a 502 and reads the changed files across pages', async () => {
+    const logger = memoryLogger();
+
+    const result = await lintbot.run({
+      provider: 'github',
+      credentials: {
+        username: 'lintbot',
+        token: 'replayed',
+        repo: 'omarchehab98/lintbot',
+        prId: '42',
+      },
+      linters: [noVarLinter],
+      replay: CASSETTE,
+      retryDelayMs: 0,
+      logger,
+    });
+
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(result.errors, []);
+    // The first page of files failed with a 502 and was retried
+    assert.ok(logger.lines.some(line => /fetchFilePaths failed on attempt 1, retrying/.test(line)));
+    // `server/index.js` is on the second page
+    assert.deepStrictEqual(
+      result.posted.map(({ path, line }) => `${path}:${line}`).sort(),
+      ['client/app.js:2', 'server/index.js:2'],
+    );
+    // The comment of the previous run is outdated
+    assert.deepStrictEqual(result.deleted, [549]);
+  });
+
+  describe('fetchBaseFile', () => {
+    it('sends each request with the signal of the job that made it', async () => {
+      const requests = [];
+      const vcp = new GitHubAPI({
+        token: 'test-token',
+        repo: 'omarchehab98/lintbot',
+        prId: '42',
+        logger: memoryLogger(),
+        fetch: async (url, { signal }) => {
+          requests.push({ url, signal });
+          // Lets the other job start while the merge base is fetched
+          await new Promise(resolve => setImmediate(resolve));
+          return new Response(/compare/.test(url)
+            ? JSON.stringify({ merge_base_commit: { sha: 'base' } })
+            : `contents of ${url}`);
+        },
+      });
+      vcp.prBaseSha = 'main';
+      vcp.prHeadSha = 'head';
+      vcp.diff = parseDiff(['a.js', 'b.js'].map(path => `diff --git a/${path} b/${path}
+--- a/${path}
++++ b/${path}
+@@ -1 +1 @@
+-old
++new
+`).join(''));
+
+      const signalA = { name: 'a' };
+      const signalB = { name: 'b' };
+      vcp.attachSignal(signalA);
+      const fileA = vcp.fetchBaseFile('a.js');
+      vcp.attachSignal(signalB);
+      const fileB = vcp.fetchBaseFile('b.js');
+      await Promise.all([fileA, fileB]);
+
+      assert.deepStrictEqual(requests.map(({ url, signal }) => [url.replace(/^https:\/\/[^/]+/, ''), signal]), [
+        ['/repos/omarchehab98/lintbot/compare/main...head', signalA],
+        ['/omarchehab98/lintbot/raw/base/a.js', signalA],
+        ['/omarchehab98/lintbot/raw/base/b.js', signalB],
+      ]);
+    });
+  });
+
+  describe('suggestChange', () => {
+    it('spans the lines a suggestion replaces when they are in a hunk', async () => {
+      const vcp = new GitHubAPI({
+        token: 'test-token',
+        repo: 'omarchehab98/lintbot',
+        prId: '42',
+        logger: memoryLogger(),
+      });
+      vcp.diff = parseDiff(`diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -1,3 +1,4 @@
+ const a = [
++  1,
+   2,
+ ];
+`);
+      await vcp.beforeSuggestionsStart();
+
+      assert.strictEqual(await vcp.suggestChange('app.js', { line: 2, range: { start: 2, end: 3 }, message: 'Join' }), true);
+      assert.strictEqual(await vcp.suggestChange('app.js', { line: 4, range: { start: 4, end: 5 }, message: 'Join' }), false);
+      assert.deepStrictEqual(vcp.comments, [{
+        path: 'app.js',
+        body: 'Join',
+        line: 3,
+        side: 'RIGHT',
+        start_line: 2,
+        start_side: 'RIGHT',
+      }]);
+    });
+  });
+
+  describe('GitHub App', () => {
+    let keys;
+    before(() => {
+      keys = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      });
+    });
+
+    it('requests with an installation token that it creates once', async () => {
+      const fetch = fakeFetch('https://api.github.com', {
+        'GET /repos/omarchehab98/lintbot/installation': { id: 7 },
+        'POST /app/installations/7/access_tokens': {
+          token: 'ghs_installation',
+          expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+        'GET /app': { slug: 'lintbot' },
+        'GET /repos/omarchehab98/lintbot/pulls/42': {},
+      });
+      const vcp = new GitHubAPI({
+        appId: '123',
+        // CI variables often have the line breaks escaped
+        privateKey: keys.privateKey.replace(/\n/g, '\\n'),
+        repo: 'omarchehab98/lintbot',
+        prId: '42',
+        logger: memoryLogger(),
+        fetch,
+      });
+
+      await Promise.all([
+        vcp.request('GET', '/repos/omarchehab98/lintbot/pulls/42'),
+        vcp.request('GET', '/repos/omarchehab98/lintbot/pulls/42'),
+      ]);
+      assert.strictEqual(await vcp.fetchLogin(), 'lintbot[bot]');
+
+      assert.deepStrictEqual(fetch.requests.map(r => `${r.method} ${r.path}`), [
+        'GET /repos/omarchehab98/lintbot/installation',
+        'POST /app/installations/7/access_tokens',
+        'GET /repos/omarchehab98/lintbot/pulls/42',
+        'GET /repos/omarchehab98/lintbot/pulls/42',
+        'GET /app',
+      ]);
+      const pullRequests = fetch.requests.filter(r => r.path.endsWith('/pulls/42'));
+      assert.deepStrictEqual(pullRequests.map(r => r.headers.Authorization), ['token ghs_installation', 'token ghs_installation']);
+
+      const [header, body, signature] = fetch.requests[0].headers.Authorization.replace(/^Bearer /, '').split('.');
+      assert.strictEqual(JSON.parse(Buffer.from(body, 'base64').toString()).iss, 123);
+      assert.ok(crypto
+        .createVerify('RSA-SHA256')
+        .update(`${header}.${body}`)
+        .verify(keys.publicKey, signature.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+    });
+  });
+
+  describe('checks mode', () => {
+    let fetch;
+    let vcp;
+
+    beforeEach(() => {
+      fetch = fakeFetch('https://api.github.com', {
+        'POST /repos/omarchehab98/lintbot/check-runs': { id: 9 },
+        'PATCH /repos/omarchehab98/lintbot/check-runs/9': {},
+      });
+      vcp = new GitHubAPI({
+        mode: 'checks',
+        token: 'test-token',
+        repo: 'omarchehab98/lintbot',
+        prId: '42',
+        logger: memoryLogger(),
+        fetch,
+      });
+      vcp.prHeadSha = 'head';
+    });
+
+    const annotate = (count, severity) => Promise.all(Array.from({ length: count }, (_, i) => vcp
+      .suggestChange('app.js', {
+        line: i + 1,
+        severity,
+        ruleId: 'semi',
+        text: 'Missing semicolon.',
+        message: '```suggestion\nconst a = 1;\n```',
+      })));
+    const patches = () => fetch.requests.filter(r => r.method === 'PATCH').map(r => r.body);
+
+    it('uploads the annotations 50 at a time and completes the check run last', async () => {
+      await vcp.beforeSuggestionsStart();
+      await annotate(60, 1);
+      await vcp.afterSuggestionsEnd();
+
+      assert.strictEqual(fetch.requests[0].body.head_sha, 'head');
+      const [first, last] = patches();
+      assert.strictEqual(first.output.annotations.length, 50);
+      assert.strictEqual(first.status, undefined);
+      assert.strictEqual(last.output.annotations.length, 10);
+      assert.strictEqual(last.status, 'completed');
+      assert.strictEqual(last.conclusion, 'neutral');
+      assert.deepStrictEqual(last.output.annotations[0], {
+        path: 'app.js',
+        start_line: 51,
+        end_line: 51,
+        annotation_level: 'warning',
+        title: 'semi',
+        message: 'Missing semicolon.',
+      });
+    });
+
+    it('concludes from the errors unless there is a verdict', async () => {
+      await vcp.beforeSuggestionsStart();
+      await annotate(1, 2);
+      await vcp.afterSuggestionsEnd();
+      assert.strictEqual(patches()[0].conclusion, 'failure');
+
+      await vcp.beforeSuggestionsStart();
+      await annotate(1, 2);
+      await vcp.setVerdict({ passed: true, message: '1 error, at most 1 allowed' });
+      await vcp.afterSuggestionsEnd();
+      assert.strictEqual(patches()[1].conclusion, 'success');
+    });
+
+    it('completes the check run as failed when the run stops with an error', async () => {
+      await vcp.beforeSuggestionsStart();
+      await vcp.afterSuggestionsError(new Error('boom'));
+
+      assert.strictEqual(patches()[0].conclusion, 'failure');
+      assert.ok(!JSON.stringify(patches()[0]).includes('boom'));
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const GitLabAPI = require('../../lib/vcp/GitLabAPI');
+const { fakeFetch, memoryLogger } = require('../support');
+
+const BASE_URL = 'https://gitlab.example.com/api/v4';
+const MR = '/projects/lintbot%2Fapp/merge_requests/3';
+
+const changes = {
+  [`GET ${MR}/changes`]: {
+    diff_refs: { base_sha: 'base', head_sha: 'head', start_sha: 'start' },
+    changes: [{
+      old_path: 'app.js',
+      new_path: 'app.js',
+      diff: '@@ -1,2 +1,2 @@\n-var a = 1;\n+var a = 2;\n module.exports = a;\n',
+    }],
+  },
+  [`GET ${MR}/discussions`]: [{
+    id: 'dad2cfbc',
+    notes: [{
+      id: 549,
+      type: 'DiffNote',
+      author: { id: 9 },
+      body: 'Unexpected var',
+    }],
+  }],
+};
+
+const createVcp = (fetch, logger = memoryLogger()) => new GitLabAPI({
+  baseUrl: 'https://gitlab.example.com',
+  projectId: 'lintbot/app',
+  mergeRequestId: '3',
+  token: 'token',
+  userId: '9',
+  logger,
+  fetch,
+});
+
+const posted = fetch => fetch.requests
+  .filter(r => r.method !== 'GET')
+  .map(r => `${r.method} ${r.path.slice(MR.length)}`);
+
+describe('GitLabAPI', () => {
+  it('posts the suggestions as draft notes and publishes them at once', async () => {
+    const fetch = fakeFetch(BASE_URL, {
+      ...changes,
+      [`GET ${MR}/draft_notes`]: [{ id: 12, note: 'Missing semicolon' }],
+      [`POST ${MR}/draft_notes`]: { id: 13 },
+      [`POST ${MR}/draft_notes/bulk_publish`]: '',
+      [`DELETE ${MR}/draft_notes/12`]: '',
+    });
+    const vcp = createVcp(fetch);
+
+    await vcp.fetchFilePaths();
+    assert.deepStrictEqual(await vcp.fetchSuggestions(), [
+      { id: ['dad2cfbc', 549], body: 'Unexpected var', hasReplies: false },
+      { id: [GitLabAPI.DRAFT_NOTE, 12], body: 'Missing semicolon', hasReplies: false },
+    ]);
+    await vcp.beforeSuggestionsStart();
+    await vcp.suggestChange('app.js', { line: 1, message: 'Unexpected var' });
+    await vcp.suggestChange('app.js', { line: 2, message: 'Missing semicolon' });
+    await vcp.deleteSuggestion([GitLabAPI.DRAFT_NOTE, 12]);
+    await vcp.afterSuggestionsEnd();
+
+    assert.deepStrictEqual(posted(fetch), [
+      'POST /draft_notes',
+      'POST /draft_notes',
+      'DELETE /draft_notes/12',
+      'POST /draft_notes/bulk_publish',
+    ]);
+    const [added, unchanged] = fetch.requests.filter(r => r.method === 'POST').map(r => r.body);
+    assert.deepStrictEqual(added, {
+      note: 'Unexpected var',
+      position: {
+        position_type: 'text',
+        base_sha: 'base',
+        start_sha: 'start',
+        head_sha: 'head',
+        new_path: 'app.js',
+        new_line: 1,
+      },
+    });
+    assert.strictEqual(unchanged.position.old_path, 'app.js');
+    assert.strictEqual(unchanged.position.old_line, 2);
+  });
+
+  it('publishes the draft notes a previous run left over even when nothing is posted', async () => {
+    const fetch = fakeFetch(BASE_URL, {
+      ...changes,
+      [`GET ${MR}/draft_notes`]: [{ id: 12, note: 'Missing semicolon' }],
+      [`POST ${MR}/draft_notes/bulk_publish`]: '',
+    });
+    const vcp = createVcp(fetch);
+
+    await vcp.fetchFilePaths();
+    await vcp.fetchSuggestions();
+    await vcp.beforeSuggestionsStart();
+    await vcp.afterSuggestionsEnd();
+
+    assert.deepStrictEqual(posted(fetch), ['POST /draft_notes/bulk_publish']);
+  });
+
+  it('posts a discussion per suggestion when GitLab has no draft notes', async () => {
+    const fetch = fakeFetch(BASE_URL, {
+      ...changes,
+      [`POST ${MR}/discussions`]: { id: 'a1b2c3' },
+    });
+    const logger = memoryLogger();
+    const vcp = createVcp(fetch, logger);
+
+    await vcp.fetchFilePaths();
+    assert.deepStrictEqual(
+      (await vcp.fetchSuggestions()).map(s => s.id),
+      [['dad2cfbc', 549]],
+    );
+    await vcp.beforeSuggestionsStart();
+    await vcp.suggestChange('app.js', { line: 1, message: 'Unexpected var' });
+    await vcp.suggestChange('app.js', { line: 2, message: 'Missing semicolon' });
+    await vcp.afterSuggestionsEnd();
+
+    // The draft notes are not asked for again once GitLab answered they do not exist
+    assert.deepStrictEqual(posted(fetch), ['POST /discussions', 'POST /discussions']);
+    assert.deepStrictEqual(
+      fetch.requests.filter(r => r.method === 'POST').map(r => r.body.body),
+      ['Unexpected var', 'Missing semicolon'],
+    );
+    assert.ok(!logger.lines.some(l => l.startsWith('GitLab does not support draft notes')));
+  });
+
+  it('falls back to discussions when posting a draft note is not found', async () => {
+    const fetch = fakeFetch(BASE_URL, {
+      ...changes,
+      [`POST ${MR}/discussions`]: { id: 'a1b2c3' },
+    });
+    const logger = memoryLogger();
+    const vcp = createVcp(fetch, logger);
+
+    await vcp.fetchFilePaths();
+    await vcp.beforeSuggestionsStart();
+    await vcp.suggestChange('app.js', { line: 1, message: 'Unexpected var' });
+    await vcp.suggestChange('app.js', { line: 2, message: 'Missing semicolon' });
+    await vcp.afterSuggestionsEnd();
+
+    assert.deepStrictEqual(posted(fetch), [
+      'POST /draft_notes',
+      'POST /discussions',
+      'POST /discussions',
+    ]);
+    assert.strictEqual(
+      logger.lines.filter(l => l.startsWith('GitLab does not support draft notes')).length,
+      1,
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const GiteaAPI = require('../../lib/vcp/GiteaAPI');
+const { fakeFetch, memoryLogger } = require('../support');
+
+const BASE_URL = 'https://gitea.example.com/api/v1';
+const PR = '/repos/lintbot/app/pulls/3';
+
+const responses = {
+  [`GET ${PR}`]: { head: { sha: 'head' } },
+  [`GET ${PR}.diff`]: `diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -1 +1,2 @@
+ const a = 1;
++var b = 2;
+`,
+  [`GET ${PR}/files?page=1&limit=50`]: [
+    { filename: 'app.js', status: 'changed' },
+    { filename: 'gone.js', status: 'deleted' },
+  ],
+  [`GET ${PR}/files?page=2&limit=50`]: [{ filename: 'new.js', status: 'added' }],
+  [`GET ${PR}/files?page=3&limit=50`]: [],
+  [`POST ${PR}/reviews`]: { id: 7 },
+  'GET /user': { login: 'lintbot' },
+  [`GET ${PR}/reviews?page=1&limit=50`]: [
+    { id: 5, user: { login: 'lintbot' } },
+    { id: 6, user: { login: 'someone' } },
+  ],
+  [`GET ${PR}/reviews?page=2&limit=50`]: [],
+};
+
+describe('GiteaAPI', () => {
+  let fetch;
+  let vcp;
+
+  beforeEach(() => {
+    fetch = fakeFetch(BASE_URL, responses);
+    vcp = new GiteaAPI({
+      baseUrl: 'https://gitea.example.com',
+      token: 'token',
+      repo: 'lintbot/app',
+      prId: '3',
+      logger: memoryLogger(),
+      fetch,
+    });
+  });
+
+  it('lists the files the pull request did not delete until a page is empty', async () => {
+    assert.deepStrictEqual(await vcp.fetchFilePaths(), ['app.js', 'new.js']);
+    assert.strictEqual(vcp.getHeadSha(), 'head');
+  });
+
+  it('posts the suggestions as one review of the head commit', async () => {
+    await vcp.fetchFilePaths();
+    await vcp.beforeSuggestionsStart();
+    await vcp.suggestChange('app.js', { line: 2, message: 'Unexpected var' });
+    await vcp.suggestChange('new.js', { line: 1, message: 'Missing semicolon' });
+    await vcp.afterSuggestionsEnd();
+
+    const reviews = fetch.requests.filter(r => r.method === 'POST');
+    assert.deepStrictEqual(reviews.map(r => r.body), [{
+      commit_id: 'head',
+      body: '',
+      event: 'COMMENT',
+      comments: [
+        { path: 'app.js', new_position: 2, body: 'Unexpected var' },
+        { path: 'new.js', new_position: 1, body: 'Missing semicolon' },
+      ],
+    }]);
+  });
+
+  it('posts no review without suggestions', async () => {
+    await vcp.beforeSuggestionsStart();
+    await vcp.afterSuggestionsEnd();
+    assert.deepStrictEqual(fetch.requests, []);
+  });
+
+  it('only removes the reviews of its own user', async () => {
+    assert.deepStrictEqual(await vcp.fetchSuggestionIds(), [5]);
+  });
+});
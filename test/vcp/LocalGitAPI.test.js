@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const nodePath = require('path');
+const lintbot = require('../..');
+const LocalGitAPI = require('../../lib/vcp/LocalGitAPI');
+const {
+  noVarLinter,
+  memoryLogger,
+  tmpDir,
+  removeDir,
+  git,
+  writeFiles,
+} = require('../support');
+
+describe('LocalGitAPI', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tmpDir('local');
+    git(dir, 'init', '--quiet');
+    writeFiles(dir, {
+      'old.js': 'var a = 1;\nmodule.exports = a;\n',
+      'kept.js': 'module.exports = 1;\n',
+    });
+    git(dir, 'add', '--all');
+    git(dir, 'commit', '--quiet', '--message', 'base');
+    git(dir, 'branch', 'base');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('writes the suggestions between two refs to the output without posting them', async () => {
+    writeFiles(dir, { 'kept.js': 'var b = 2;\nmodule.exports = b;\n' });
+    git(dir, 'commit', '--quiet', '--all', '--message', 'change');
+    const output = nodePath.join(dir, 'suggestions.md');
+
+    const result = await lintbot.run({
+      provider: 'local',
+      providerOptions: { base: 'base', cwd: dir, output },
+      linters: [noVarLinter],
+      summary: false,
+      logger: memoryLogger(),
+    });
+
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(result.posted.map(s => `${s.path}:${s.line}`), ['kept.js:1']);
+    assert.deepStrictEqual(result.deleted, []);
+    assert.ok(/^kept\.js:1\n\n.*Unexpected var/.test(fs.readFileSync(output, 'utf8')));
+  });
+
+  it('reads the base file of a renamed file from its old path', async () => {
+    git(dir, 'mv', 'old.js', 'new.js');
+    writeFiles(dir, { 'new.js': 'var a = 1;\nmodule.exports = a;\nvar c = 3;\n' });
+    git(dir, 'commit', '--quiet', '--all', '--message', 'rename');
+
+    const vcp = new LocalGitAPI({ base: 'base', cwd: dir, logger: memoryLogger() });
+    assert.deepStrictEqual(await vcp.fetchFilePaths(), ['new.js']);
+    assert.strictEqual(await vcp.fetchBaseFile('new.js'), 'var a = 1;\nmodule.exports = a;\n');
+  });
+
+  it('has no base file for an added file', async () => {
+    writeFiles(dir, { 'added.js': 'module.exports = 2;\n' });
+    git(dir, 'add', '--all');
+    git(dir, 'commit', '--quiet', '--message', 'add');
+
+    const vcp = new LocalGitAPI({ base: 'base', cwd: dir, logger: memoryLogger() });
+    await vcp.fetchFilePaths();
+    assert.strictEqual(await vcp.fetchBaseFile('added.js'), null);
+  });
+});